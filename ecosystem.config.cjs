@@ -1,6 +1,14 @@
+const WORKER_INSTANCES = Number(process.env.WORKER_INSTANCES || 1);
+
 module.exports = {
   apps: [
     { name: "wsp-campaigns-api", script: "src/server.js", env: { NODE_ENV: "production" } },
-    { name: "wsp-campaigns-worker", script: "src/worker.js", env: { NODE_ENV: "production" } }
+    {
+      name: "wsp-campaigns-worker",
+      script: "src/worker.js",
+      instances: WORKER_INSTANCES,
+      exec_mode: "cluster",
+      env: { NODE_ENV: "production", WORKER_INSTANCES }
+    }
   ]
 };
@@ -0,0 +1,246 @@
+import db from './db.js';
+import { smartProcessTypeId } from './bitrix.js';
+import { enqueueEntityUpdate, enqueueEntityTask } from './outbox.js';
+import { extractBitrixMeta } from './notifications.js';
+import { normalizeKeyword, isSuppressed, addSuppression } from './suppressions.js';
+import { parseComponentMapping } from './components.js';
+import { validateCampaignTemplate, getWabaId } from './templates.js';
+import { getSenderWabaId } from './senders.js';
+import { checkFrequencyCap } from './frequency.js';
+import { getCampaign, startCampaign, insertCampaign } from './campaigns.js';
+import { describeInbound } from './media.js';
+
+export const ACTION_TYPES = ['stage', 'field', 'task', 'suppress', 'template'];
+const DEFAULT_LANG = process.env.WA_TEMPLATE_LANG || 'es';
+// Campo de etapa según la entidad (los procesos inteligentes usan crm.item.update)
+const STAGE_FIELDS = { lead: 'STATUS_ID', deal: 'STAGE_ID' };
+const DEFAULT_TASK_TITLE = 'WhatsApp: +{phone} respondió «{reply}»';
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function positiveNumber(raw, field) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) throw httpError(400, `${field} debe ser un número positivo`);
+  return value;
+}
+
+function parseParams(action, rule, at) {
+  if (action === 'stage') {
+    const stageId = String(rule.stage_id ?? rule.stage ?? '').trim();
+    if (!stageId) throw httpError(400, `${at}: la acción stage necesita stage_id`);
+    return { stage_id: stageId };
+  }
+  if (action === 'field') {
+    const fields = rule.fields && typeof rule.fields === 'object' ? rule.fields : (rule.field ? { [rule.field]: rule.value ?? '' } : {});
+    if (!Object.keys(fields).length) throw httpError(400, `${at}: la acción field necesita fields o field + value`);
+    return { fields };
+  }
+  if (action === 'task') {
+    return {
+      title: String(rule.title || '').trim() || null,
+      description: String(rule.description || '').trim() || null,
+      deadline_hours: positiveNumber(rule.deadline_hours, `${at}.deadline_hours`),
+      responsible_id: positiveNumber(rule.responsible_id, `${at}.responsible_id`)
+    };
+  }
+  if (action === 'template') {
+    const templateName = String(rule.template_name || rule.template || '').trim();
+    if (!templateName) throw httpError(400, `${at}: la acción template necesita template_name`);
+    return {
+      template_name: templateName,
+      language: String(rule.language || DEFAULT_LANG),
+      components: parseComponentMapping(rule.components)
+    };
+  }
+  return { reason: String(rule.reason || '').trim() || null };
+}
+
+/**
+ * Reglas de acción de una campaña. Cada una lleva `payload` (botón pulsado: payload de la
+ * plantilla o id del botón/fila interactivo) o `keyword` (palabra o frase dentro del texto),
+ * y una acción: stage, field, task, suppress o template con sus parámetros.
+ */
+export function parseActionRules(raw) {
+  if (raw === undefined || raw === null || raw === '') return [];
+  let source = raw;
+  if (typeof raw === 'string') {
+    try {
+      source = JSON.parse(raw);
+    } catch {
+      throw httpError(400, 'actions no es JSON válido');
+    }
+  }
+  const list = Array.isArray(source) ? source : [source];
+  return list.map((rule, i) => {
+    const at = `actions[${i}]`;
+    if (!rule || typeof rule !== 'object') throw httpError(400, `${at} debe ser un objeto`);
+    if (Boolean(rule.payload) === Boolean(rule.keyword)) throw httpError(400, `${at}: indica payload o keyword (solo uno)`);
+    const matchValue = normalizeKeyword(rule.payload || rule.keyword);
+    if (!matchValue) throw httpError(400, `${at}: payload/keyword vacío`);
+    const action = String(rule.action || '').trim().toLowerCase();
+    if (!ACTION_TYPES.includes(action)) throw httpError(400, `${at}: action debe ser ${ACTION_TYPES.join(', ')}`);
+    return {
+      match_type: rule.payload ? 'payload' : 'keyword',
+      match_value: matchValue,
+      action,
+      params: parseParams(action, rule, at)
+    };
+  });
+}
+
+export function addCampaignActions(campaign_id, rules) {
+  const insert = db.prepare(`INSERT INTO campaign_actions (campaign_id, match_type, match_value, action, params_json, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)`);
+  const tx = db.transaction(() => rules.map((rule) => insert.run(
+    campaign_id, rule.match_type, rule.match_value, rule.action, JSON.stringify(rule.params), nowIso()
+  ).lastInsertRowid));
+  return tx();
+}
+
+export function listCampaignActions(campaign_id) {
+  return db.prepare(`SELECT a.*, COUNT(r.id) AS runs FROM campaign_actions a LEFT JOIN campaign_action_runs r ON r.action_id=a.id
+    WHERE a.campaign_id=? GROUP BY a.id ORDER BY a.id`).all(campaign_id)
+    .map(({ params_json, ...row }) => ({ ...row, params: JSON.parse(params_json) }));
+}
+
+export function deleteCampaignAction(campaign_id, id) {
+  const info = db.prepare('DELETE FROM campaign_actions WHERE id=? AND campaign_id=?').run(id, campaign_id);
+  if (!info.changes) throw httpError(404, 'La regla no existe en esta campaña');
+}
+
+export function listActionRuns(campaign_id, { limit = 50, offset = 0 } = {}) {
+  return db.prepare(`SELECT r.*, a.action, a.match_type, a.match_value, t.phone FROM campaign_action_runs r
+    LEFT JOIN campaign_actions a ON a.id=r.action_id LEFT JOIN campaign_targets t ON t.id=r.target_id
+    WHERE r.campaign_id=? ORDER BY r.id DESC LIMIT ? OFFSET ?`).all(campaign_id, limit, offset);
+}
+
+function replySignals(message) {
+  const payloads = [message?.button?.payload, message?.interactive?.button_reply?.id, message?.interactive?.list_reply?.id]
+    .filter(Boolean)
+    .map(normalizeKeyword);
+  const text = normalizeKeyword([
+    message?.text?.body,
+    message?.button?.text,
+    message?.interactive?.button_reply?.title,
+    message?.interactive?.list_reply?.title
+  ].filter(Boolean).join(' '));
+  return { payloads, text };
+}
+
+function matches(rule, { payloads, text }) {
+  if (rule.match_type === 'payload') return payloads.includes(rule.match_value);
+  return Boolean(text) && ` ${text} `.includes(` ${rule.match_value} `);
+}
+
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (whole, key) => (vars[key] !== undefined ? vars[key] : whole));
+}
+
+// Plantilla de seguimiento: una campaña de un solo destinatario con el mismo remitente, ventana y avisos
+function startFollowUp(rule, target, camp) {
+  const { template_name, language, components } = rule.params;
+  if (isSuppressed(target.phone)) return { status: 'skipped', detail: 'El número está dado de baja' };
+  const sender = target.sender_phone_id || camp.sender_phone_id;
+  const vars = JSON.parse(target.vars_json || '{}');
+  const template = validateCampaignTemplate({
+    template_name,
+    language,
+    mapping: components,
+    targets: [{ phone: target.phone, vars }],
+    waba_id: getSenderWabaId(sender) || getWabaId() || null
+  });
+  const category = template?.category || null;
+  const cap = checkFrequencyCap(target.phone, category);
+  if (cap) return { status: 'skipped', detail: cap };
+
+  const source = JSON.parse(camp.meta_json || '{}')?.source || null;
+  // El seguimiento hereda de la campaña original el pool de remitentes, la ventana y la política de Bitrix24
+  const { campaign_id: campaignId } = insertCampaign({
+    name: `${camp.name} · ${template_name}`,
+    template_name,
+    language,
+    sender_phone_id: sender,
+    meta_json: JSON.stringify({ source, follow_up: { campaign_id: camp.id, target_id: target.id, action_id: rule.id } }),
+    delivery_window: camp.delivery_window,
+    delivery_tz: camp.delivery_tz,
+    delivery_days: camp.delivery_days,
+    components_json: components ? JSON.stringify(components) : null,
+    template_category: category,
+    sender_pool_json: camp.sender_pool_json,
+    sender_strategy: camp.sender_strategy,
+    bitrix_notify: camp.bitrix_notify,
+    bitrix_notify_mode: camp.bitrix_notify_mode,
+    bitrix_status_field: camp.bitrix_status_field
+  }, [{ phone: target.phone, vars_json: target.vars_json || '{}', sender_phone_id: sender }]);
+  startCampaign(campaignId);
+  return { status: 'done', detail: `campaña ${campaignId}` };
+}
+
+function execute(rule, target, message) {
+  if (rule.action === 'suppress') {
+    addSuppression({ phone: target.phone, reason: rule.params.reason || rule.match_value, source: 'action', campaign_id: target.campaign_id });
+    return { status: 'done' };
+  }
+  const camp = getCampaign(target.campaign_id);
+  if (rule.action === 'template') return startFollowUp(rule, target, camp);
+
+  const meta = extractBitrixMeta(target);
+  if (!meta?.entity || !meta?.id) return { status: 'skipped', detail: 'El destinatario no viene de Bitrix24' };
+  const entity = { entity: meta.entity, entityId: meta.id };
+  if (rule.action === 'stage') {
+    const field = smartProcessTypeId(meta.entity) ? 'stageId' : STAGE_FIELDS[meta.entity];
+    if (!field) return { status: 'skipped', detail: `${meta.entity} no tiene etapas` };
+    enqueueEntityUpdate({ ...entity, fields: { [field]: rule.params.stage_id } });
+    return { status: 'done', detail: `${meta.entity} ${meta.id} → ${rule.params.stage_id}` };
+  }
+  if (rule.action === 'field') {
+    enqueueEntityUpdate({ ...entity, fields: rule.params.fields });
+    return { status: 'done', detail: `${meta.entity} ${meta.id}` };
+  }
+  const vars = { phone: target.phone, reply: String(describeInbound(message) || '').slice(0, 200), campaign: camp.name };
+  const hours = rule.params.deadline_hours;
+  enqueueEntityTask({
+    ...entity,
+    title: fill(rule.params.title || DEFAULT_TASK_TITLE, vars).slice(0, 255),
+    description: fill(rule.params.description || 'Respuesta a la campaña {campaign}: {reply}', vars),
+    deadline: hours ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null,
+    responsibleId: rule.params.responsible_id
+  });
+  return { status: 'done', detail: `${meta.entity} ${meta.id}` };
+}
+
+/**
+ * Ejecuta las reglas de la campaña del destinatario que coinciden con la respuesta. Cada regla
+ * corre una sola vez por destinatario y en su propio savepoint: si falla, se registra el error
+ * y el resto del webhook sigue adelante. Las escrituras a Bitrix24 van por el outbox.
+ */
+export function runReplyActions(target, message) {
+  const rules = db.prepare('SELECT * FROM campaign_actions WHERE campaign_id=? ORDER BY id').all(target.campaign_id);
+  const outcome = { ran: 0, suppressed: false };
+  if (!rules.length) return outcome;
+  const signals = replySignals(message);
+  for (const row of rules) {
+    const rule = { ...row, params: JSON.parse(row.params_json || '{}') };
+    if (!matches(rule, signals)) continue;
+    if (db.prepare('SELECT 1 FROM campaign_action_runs WHERE action_id=? AND target_id=?').get(rule.id, target.id)) continue;
+    let result;
+    try {
+      result = db.transaction(() => execute(rule, target, message))();
+    } catch (err) {
+      result = { status: 'error', detail: err.message };
+    }
+    db.prepare(`INSERT INTO campaign_action_runs (action_id, campaign_id, target_id, wa_message_id, status, detail, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`).run(rule.id, target.campaign_id, target.id, message?.id || null, result.status,
+      result.detail ? String(result.detail).slice(0, 500) : null, nowIso());
+    if (rule.action === 'suppress' && result.status === 'done') outcome.suppressed = true;
+    outcome.ran += 1;
+  }
+  return outcome;
+}
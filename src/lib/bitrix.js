@@ -3,13 +3,28 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import axios from 'axios';
 import { normalizePhone, isLikelyValidPhone } from './phone.js';
+import { createRateLimiter } from './ratelimit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const TOKENS_PATH = path.join(__dirname, '../../data/b24_tokens.json');
+// B24_TOKENS_PATH permite apuntar a otro archivo (p. ej. un portal de pruebas)
+const TOKENS_PATH = process.env.B24_TOKENS_PATH || path.join(__dirname, '../../data/b24_tokens.json');
 const DEFAULT_CHUNK = 50;
 const CLOCK_SKEW_S = 60;
+const BATCH_MAX = 50;
+// Bitrix24 admite ~2 peticiones/s por portal; por encima responde QUERY_LIMIT_EXCEEDED
+const RATE_LIMIT = Number(process.env.B24_RATE_LIMIT || 2);
+const MAX_RETRIES = Number(process.env.B24_MAX_RETRIES || 5);
+const RETRY_BASE_MS = 1000;
+const THROTTLE_ERRORS = ['QUERY_LIMIT_EXCEEDED', 'OPERATION_TIME_LIMIT'];
+// Un portal que no responde no puede dejar colgado el outbox: el timeout se reintenta como un throttle
+const B24_TIMEOUT_MS = Number(process.env.B24_HTTP_TIMEOUT_MS || 30000);
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+const limiter = createRateLimiter({ defaultRate: RATE_LIMIT });
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
 let cachedTokens = null;
 
@@ -27,6 +42,26 @@ function getTokens() {
   return readTokensFile();
 }
 
+// member_id del portal autorizado (identifica las llamadas entrantes de Bitrix24)
+export function getPortalMemberId() {
+  try {
+    return getTokens()?.member_id || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Valida el bloque `auth` de las llamadas entrantes (robots, eventos, placements): con
+ * B24_APPLICATION_TOKEN se compara el application_token; si no, el member_id del portal.
+ */
+export function verifyBitrixAuth(auth = {}) {
+  const applicationToken = process.env.B24_APPLICATION_TOKEN || '';
+  if (applicationToken) return auth?.application_token === applicationToken;
+  const memberId = getPortalMemberId();
+  return Boolean(memberId) && auth?.member_id === memberId;
+}
+
 function persistTokens(tokens) {
   cachedTokens = { ...tokens };
   fs.mkdirSync(path.dirname(TOKENS_PATH), { recursive: true });
@@ -89,7 +124,8 @@ async function refreshToken(tokens) {
   });
 
   const response = await axios.post(url, payload.toString(), {
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: B24_TIMEOUT_MS
   });
   if (!response.data?.access_token) {
     throw new Error('Bitrix24 no devolvió access_token al refrescar.');
@@ -116,8 +152,10 @@ async function requestWithToken(tokens, method, params) {
   if (!token) throw new Error('El token de Bitrix24 no incluye access_token.');
 
   const url = `${endpoint}/${method}?auth=${encodeURIComponent(token)}`;
+  await limiter.acquire(endpoint, RATE_LIMIT);
   const response = await axios.post(url, params, {
-    headers: { 'Content-Type': 'application/json' }
+    headers: { 'Content-Type': 'application/json' },
+    timeout: B24_TIMEOUT_MS
   });
 
   if (response.data?.error) {
@@ -139,7 +177,18 @@ export async function ensureAccessToken() {
   return { accessToken: tokens.access_token, tokens };
 }
 
-export async function callBitrix(method, params = {}) {
+function isThrottled(err) {
+  if (!err?.response && TIMEOUT_CODES.includes(err?.code)) return true;
+  const code = err?.response?.data?.error;
+  return THROTTLE_ERRORS.includes(code) || err?.response?.status === 503;
+}
+
+function backoff(attempt) {
+  const wait = RETRY_BASE_MS * 2 ** attempt;
+  return sleep(Math.round(wait / 2 + Math.random() * (wait / 2)));
+}
+
+async function callOnce(method, params) {
   let tokens = getTokens();
   if (tokenNeedsRefresh(tokens)) {
     tokens = await refreshToken(tokens);
@@ -156,34 +205,287 @@ export async function callBitrix(method, params = {}) {
   }
 }
 
+export async function callBitrix(method, params = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await callOnce(method, params);
+    } catch (err) {
+      if (!isThrottled(err) || attempt >= MAX_RETRIES) throw err;
+      await backoff(attempt);
+    }
+  }
+}
+
+// Serializa params como los espera `batch` (http_build_query de PHP: filter[ID][0]=1&select[0]=ID)
+function toQuery(value, prefix = '') {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    return entries.flatMap(([key, v]) => toQuery(v, prefix ? `${prefix}[${key}]` : String(key)));
+  }
+  const scalar = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+  return [`${encodeURIComponent(prefix)}=${encodeURIComponent(scalar)}`];
+}
+
+function commandError(method, error) {
+  const code = error?.error || 'ERROR';
+  const err = new Error(`Bitrix24 respondió error en ${method}: ${code}: ${error?.error_description || 'sin descripción'}`);
+  err.response = { data: error };
+  return err;
+}
+
+async function runBatchChunk(chunk) {
+  const cmd = {};
+  chunk.forEach(({ method, params }, j) => {
+    cmd[`c${j}`] = `${method}?${toQuery(params || {}).join('&')}`;
+  });
+  const data = await callBitrix('batch', { halt: 0, cmd });
+  const results = data?.result?.result || {};
+  const errors = data?.result?.result_error || {};
+  const totals = data?.result?.result_total || {};
+  return chunk.map(({ method }, j) => {
+    const key = `c${j}`;
+    const error = Array.isArray(errors) ? null : errors[key];
+    return error
+      ? { result: null, total: null, error: commandError(method, error) }
+      : { result: results[key] ?? null, total: totals[key] ?? null, error: null };
+  });
+}
+
+/**
+ * Ejecuta varias llamadas con el método `batch` (hasta 50 por petición) y devuelve, en el mismo
+ * orden, `{ result, total, error }` por comando. Un comando fallido no detiene al resto; los que
+ * vuelven con QUERY_LIMIT_EXCEEDED se reenvían solos, con backoff, hasta B24_MAX_RETRIES veces.
+ */
+export async function callBatch(commands = []) {
+  const out = [];
+  for (let i = 0; i < commands.length; i += BATCH_MAX) {
+    const chunk = commands.slice(i, i + BATCH_MAX);
+    const outcomes = await runBatchChunk(chunk);
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt += 1) {
+      const throttled = outcomes.map((o, j) => (o.error && isThrottled(o.error) ? j : -1)).filter((j) => j >= 0);
+      if (!throttled.length) break;
+      await backoff(attempt);
+      const retried = await runBatchChunk(throttled.map((j) => chunk[j]));
+      throttled.forEach((j, k) => { outcomes[j] = retried[k]; });
+    }
+    out.push(...outcomes);
+  }
+  return out;
+}
+
+// Llamadas sueltas que se agrupan en un único `batch` si coinciden en el mismo ciclo del event loop
+let pending = [];
+let flushScheduled = false;
+
+async function flushPending() {
+  const calls = pending;
+  pending = [];
+  flushScheduled = false;
+  if (!calls.length) return;
+  if (calls.length === 1) {
+    const [call] = calls;
+    callBitrix(call.method, call.params).then(call.resolve, call.reject);
+    return;
+  }
+  try {
+    const results = await callBatch(calls);
+    results.forEach(({ result, error }, i) => {
+      if (error) calls[i].reject(error);
+      else calls[i].resolve({ result });
+    });
+  } catch (err) {
+    for (const call of calls) call.reject(err);
+  }
+}
+
+export function queueBitrixCall(method, params = {}) {
+  return new Promise((resolve, reject) => {
+    pending.push({ method, params, resolve, reject });
+    if (pending.length >= BATCH_MAX) {
+      flushPending();
+    } else if (!flushScheduled) {
+      flushScheduled = true;
+      setImmediate(flushPending);
+    }
+  });
+}
+
 const ENTITY_METHODS = {
   lead: 'crm.lead.list',
-  contact: 'crm.contact.list'
+  contact: 'crm.contact.list',
+  company: 'crm.company.list',
+  deal: 'crm.deal.list'
 };
 
-export async function fetchEntities({ entity = 'lead', ids = [] }) {
-  const method = ENTITY_METHODS[entity];
-  if (!method) {
+const ENTITY_SELECT = {
+  lead: ['ID', 'TITLE', 'NAME', 'LAST_NAME', 'SECOND_NAME', 'PHONE', 'COMPANY_TITLE', 'ASSIGNED_BY_ID', 'UF_*'],
+  contact: ['ID', 'NAME', 'LAST_NAME', 'SECOND_NAME', 'PHONE', 'COMPANY_ID', 'ASSIGNED_BY_ID', 'UF_*'],
+  company: ['ID', 'TITLE', 'PHONE', 'ASSIGNED_BY_ID', 'UF_*'],
+  deal: ['ID', 'TITLE', 'STAGE_ID', 'OPPORTUNITY', 'CURRENCY_ID', 'CONTACT_ID', 'COMPANY_ID', 'ASSIGNED_BY_ID', 'UF_*']
+};
+
+const UPDATE_METHODS = {
+  lead: 'crm.lead.update',
+  contact: 'crm.contact.update',
+  company: 'crm.company.update',
+  deal: 'crm.deal.update'
+};
+
+// entityTypeId de las entidades clásicas del CRM (crm.item.* acepta también estos)
+const CRM_TYPE_IDS = { 1: 'lead', 2: 'deal', 3: 'contact', 4: 'company' };
+const SMART_PREFIX = 'dynamic_';
+// Bitrix24 pagina los *.list de 50 en 50
+const PAGE_SIZE = 50;
+// Límite opcional de registros de un filter al crear la campaña (0 = sin límite; la vista previa nunca lo aplica)
+const FILTER_MAX_TARGETS = Number(process.env.BITRIX_FILTER_MAX_TARGETS || 0);
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function smartProcessTypeId(entity) {
+  const match = String(entity || '').match(/^dynamic_(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Tipo de entidad normalizado: lead, contact, company, deal o dynamic_<entityTypeId> para
+ * procesos inteligentes (también `item` + entity_type_id). Coincide con el ENTITY_TYPE de la
+ * línea de tiempo, así que los comentarios y escrituras caen en la misma entidad.
+ */
+export function parseEntityType(entity, entityTypeId = null) {
+  const value = String(entity || 'lead').trim().toLowerCase();
+  if (ENTITY_METHODS[value] || smartProcessTypeId(value)) return value;
+  if (value === 'item' || value === 'smart') {
+    const typeId = Number(entityTypeId);
+    if (!Number.isInteger(typeId) || typeId <= 0) {
+      throw httpError(400, 'entity=item necesita entity_type_id (p. ej. 128)');
+    }
+    return CRM_TYPE_IDS[typeId] || `${SMART_PREFIX}${typeId}`;
+  }
+  throw httpError(400, `Entidad Bitrix24 no soportada: ${entity}`);
+}
+
+// Una sola llamada va directa; varias se agrupan en batch. Devuelve los `result` en orden.
+async function runCommands(commands) {
+  if (!commands.length) return [];
+  if (commands.length === 1) {
+    const data = await callBitrix(commands[0].method, commands[0].params);
+    return [data?.result ?? null];
+  }
+  return (await callBatch(commands)).map(({ result, error }) => {
+    if (error) throw error;
+    return result;
+  });
+}
+
+// Filtro tal cual lo acepta Bitrix24, p. ej. { STAGE_ID: 'NEW', '>=DATE_MODIFY': '2025-01-01' }
+export function parseBitrixFilter(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw) || !Object.keys(raw).length) {
+    throw httpError(400, 'filter debe ser un objeto con al menos un campo de Bitrix24');
+  }
+  return raw;
+}
+
+function listCommand(entity, { filter, start = 0 }) {
+  const typeId = smartProcessTypeId(entity);
+  return typeId
+    ? { method: 'crm.item.list', params: { entityTypeId: typeId, filter, select: ['*', 'ufCrm*'], order: { id: 'ASC' }, start } }
+    : { method: ENTITY_METHODS[entity], params: { filter, select: ENTITY_SELECT[entity], order: { ID: 'ASC' }, start } };
+}
+
+// crm.item.list devuelve { items } con campos en camelCase; ID se añade para tratarlos igual
+function listRows(entity, result) {
+  if (smartProcessTypeId(entity)) return (result?.items || []).map((item) => ({ ...item, ID: String(item.id) }));
+  return Array.isArray(result) ? result : [];
+}
+
+/**
+ * Todos los registros que cumplen `filter`: la primera página da el total y el resto de
+ * páginas (de 50 en 50) se piden en batch. Con `maxTargets` se corta antes de pedir el resto.
+ */
+async function fetchByFilter(entity, filter, { maxTargets = 0 } = {}) {
+  const first = listCommand(entity, { filter });
+  const data = await callBitrix(first.method, first.params);
+  const total = Number(data?.total || 0);
+  if (maxTargets && total > maxTargets) {
+    throw httpError(400, `El filtro devuelve ${total} registros y el límite para crear la campaña es ${maxTargets} (max_targets o BITRIX_FILTER_MAX_TARGETS); acota el filtro o sube el límite`);
+  }
+  const rows = listRows(entity, data?.result);
+  const commands = [];
+  for (let start = PAGE_SIZE; start < total; start += PAGE_SIZE) {
+    commands.push(listCommand(entity, { filter, start }));
+  }
+  for (const result of await runCommands(commands)) rows.push(...listRows(entity, result));
+  return rows;
+}
+
+export async function fetchEntities({ entity = 'lead', ids = [], filter = null, maxTargets = 0 }) {
+  if (!ENTITY_METHODS[entity] && !smartProcessTypeId(entity)) {
     throw new Error(`Entidad Bitrix24 no soportada: ${entity}`);
   }
   const uniqueIds = Array.from(new Set((ids || []).map(String).filter(Boolean)));
+  const idKey = smartProcessTypeId(entity) ? '@id' : 'ID';
+  if (filter) {
+    return fetchByFilter(entity, uniqueIds.length ? { ...filter, [idKey]: uniqueIds } : filter, { maxTargets });
+  }
   if (!uniqueIds.length) return [];
 
-  const out = [];
+  const commands = [];
   for (let i = 0; i < uniqueIds.length; i += DEFAULT_CHUNK) {
-    const chunk = uniqueIds.slice(i, i + DEFAULT_CHUNK);
-    const payload = {
-      filter: { ID: chunk },
-      select: ['ID', 'TITLE', 'NAME', 'LAST_NAME', 'SECOND_NAME', 'PHONE', 'COMPANY_TITLE', 'ASSIGNED_BY_ID', 'UF_*']
-    };
-    const data = await callBitrix(method, payload);
-    if (Array.isArray(data?.result)) {
-      out.push(...data.result);
-    }
+    commands.push(listCommand(entity, { filter: { [idKey]: uniqueIds.slice(i, i + DEFAULT_CHUNK) } }));
   }
+  const out = [];
+  for (const result of await runCommands(commands)) out.push(...listRows(entity, result));
+  return out;
+}
+
+function validId(id) {
+  return id !== undefined && id !== null && String(id) !== '' && String(id) !== '0';
+}
+
+// Contactos de cada negociación, el principal primero
+async function fetchDealContactIds(dealIds) {
+  const results = await runCommands(dealIds.map((id) => ({ method: 'crm.deal.contact.items.get', params: { id } })));
+  const out = new Map();
+  dealIds.forEach((id, i) => {
+    const items = Array.isArray(results[i]) ? results[i] : [];
+    items.sort((a, b) => (b.IS_PRIMARY === 'Y') - (a.IS_PRIMARY === 'Y') || Number(a.SORT || 0) - Number(b.SORT || 0));
+    out.set(String(id), items.map((c) => String(c.CONTACT_ID)));
+  });
   return out;
 }
 
+/**
+ * Negociaciones y procesos inteligentes no tienen teléfono propio: se cargan sus contactos y
+ * su compañía en CONTACTS / COMPANY (también sirven para var_fields, p. ej. CONTACT.NAME).
+ */
+async function attachClients(entity, rows) {
+  const dealContacts = entity === 'deal' ? await fetchDealContactIds(rows.map((r) => r.ID)) : null;
+  const links = rows.map((row) => {
+    const contactIds = dealContacts
+      ? (dealContacts.get(String(row.ID))?.length ? dealContacts.get(String(row.ID)) : [row.CONTACT_ID])
+      : (Array.isArray(row.contactIds) && row.contactIds.length ? row.contactIds : [row.contactId]);
+    return {
+      contactIds: contactIds.filter(validId).map(String),
+      companyId: validId(row.COMPANY_ID ?? row.companyId) ? String(row.COMPANY_ID ?? row.companyId) : null
+    };
+  });
+
+  const byId = (list) => new Map(list.map((r) => [String(r.ID), r]));
+  const contacts = byId(await fetchEntities({ entity: 'contact', ids: links.flatMap((l) => l.contactIds) }));
+  const companies = byId(await fetchEntities({ entity: 'company', ids: links.map((l) => l.companyId).filter(Boolean) }));
+  rows.forEach((row, i) => {
+    row.CONTACTS = links[i].contactIds.map((id) => contacts.get(id)).filter(Boolean);
+    row.CONTACT = row.CONTACTS[0] || null;
+    row.COMPANY = links[i].companyId ? companies.get(links[i].companyId) || null : null;
+  });
+}
+
 function resolveFieldValue(obj, path) {
   if (!path) return undefined;
   const segments = String(path).split('.');
@@ -215,12 +517,38 @@ function extractPhoneFromEntity(entity, defaultCountryCode) {
   return normalizePhone(fallback, { defaultCountryCode });
 }
 
-export async function fetchTargetsFromBitrix({ entity = 'lead', ids = [], varFields = {} }) {
+// Teléfono propio; si no tiene, el del primer contacto con teléfono y, por último, el de la compañía
+function resolveTargetPhone(row, defaultCountryCode) {
+  const own = extractPhoneFromEntity(row, defaultCountryCode);
+  if (isLikelyValidPhone(own)) return { phone: own, via: null };
+  for (const contact of row.CONTACTS || []) {
+    const phone = extractPhoneFromEntity(contact, defaultCountryCode);
+    if (isLikelyValidPhone(phone)) {
+      row.CONTACT = contact;
+      return { phone, via: { entity: 'contact', id: contact.ID } };
+    }
+  }
+  if (row.COMPANY) {
+    const phone = extractPhoneFromEntity(row.COMPANY, defaultCountryCode);
+    if (isLikelyValidPhone(phone)) return { phone, via: { entity: 'company', id: row.COMPANY.ID } };
+  }
+  return { phone: own, via: null };
+}
+
+/**
+ * Destinatarios de una lista de IDs o de un `filter` de Bitrix24. Devuelve los que tienen
+ * teléfono válido y `matched`, cuántos registros cumplían la selección. `maxTargets` (por defecto
+ * BITRIX_FILTER_MAX_TARGETS) rechaza filtros más grandes; null lo desactiva (vista previa).
+ */
+export async function fetchTargetsFromBitrix({ entity = 'lead', ids = [], filter = null, varFields = {}, maxTargets = FILTER_MAX_TARGETS }) {
   const defaultCountryCode = (process.env.BITRIX_DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
-  const rows = await fetchEntities({ entity, ids });
+  const rows = await fetchEntities({ entity, ids, filter, maxTargets: maxTargets || 0 });
+  if (entity === 'deal' || smartProcessTypeId(entity)) {
+    await attachClients(entity, rows);
+  }
   const targets = [];
   for (const row of rows) {
-    const phone = extractPhoneFromEntity(row, defaultCountryCode);
+    const { phone, via } = resolveTargetPhone(row, defaultCountryCode);
     if (!isLikelyValidPhone(phone)) continue;
 
     const vars = {};
@@ -231,10 +559,11 @@ export async function fetchTargetsFromBitrix({ entity = 'lead', ids = [], varFie
       }
     }
 
-    vars._bitrix = { entity, id: row.ID };
+    // Todo va a la entidad de origen salvo la marca de baja, que es del número: esa va a `via`
+    vars._bitrix = via ? { entity, id: row.ID, via } : { entity, id: row.ID };
     targets.push({ phone, vars });
   }
-  return targets;
+  return { targets, matched: rows.length };
 }
 
 export async function bitrixHealth() {
@@ -247,13 +576,58 @@ export async function bitrixHealth() {
   };
 }
 
-export async function pushTimelineComment({ entity, entityId, comment }) {
+// files: [[nombre, base64]]. Con adjuntos la llamada va sola: en un `batch` el contenido viajaría en la URL
+export async function pushTimelineComment({ entity, entityId, comment, files = null }) {
   if (!entity || !entityId || !comment) return null;
   const fields = {
     ENTITY_ID: Number(entityId),
     ENTITY_TYPE: entity,
     COMMENT: comment
   };
-  return callBitrix('crm.timeline.comment.add', { fields });
+  if (files?.length) return callBitrix('crm.timeline.comment.add', { fields: { ...fields, FILES: files } });
+  return queueBitrixCall('crm.timeline.comment.add', { fields });
+}
+
+export async function updateTimelineComment({ id, comment }) {
+  if (!id || !comment) return null;
+  return queueBitrixCall('crm.timeline.comment.update', { id: Number(id), fields: { COMMENT: comment } });
+}
+
+// Prefijo de UF_CRM_TASK para vincular una tarea a la entidad (procesos inteligentes: T<typeId hex>_<id>)
+const TASK_BINDING_PREFIX = { lead: 'L', deal: 'D', contact: 'C', company: 'CO' };
+
+async function getEntity(entity, entityId) {
+  const typeId = smartProcessTypeId(entity);
+  if (typeId) return (await queueBitrixCall('crm.item.get', { entityTypeId: typeId, id: Number(entityId) }))?.result?.item || null;
+  return (await queueBitrixCall(`crm.${entity}.get`, { id: Number(entityId) }))?.result || null;
 }
 
+/**
+ * Crea una tarea vinculada a la entidad. Sin responsibleId se asigna al responsable de la
+ * entidad (ASSIGNED_BY_ID) en el momento de crearla.
+ */
+export async function createEntityTask({ entity, entityId, title, description = '', deadline = null, responsibleId = null }) {
+  const typeId = smartProcessTypeId(entity);
+  if (!typeId && !TASK_BINDING_PREFIX[entity]) throw new Error(`Entidad Bitrix24 no soportada: ${entity}`);
+  let responsible = responsibleId;
+  if (!responsible) {
+    const row = await getEntity(entity, entityId);
+    responsible = row?.ASSIGNED_BY_ID ?? row?.assignedById;
+    if (!responsible) throw new Error(`${entity} ${entityId} no tiene responsable para la tarea`);
+  }
+  const binding = typeId ? `T${typeId.toString(16)}_${entityId}` : `${TASK_BINDING_PREFIX[entity]}_${entityId}`;
+  const fields = { TITLE: title, DESCRIPTION: description, RESPONSIBLE_ID: Number(responsible), UF_CRM_TASK: [binding] };
+  if (deadline) fields.DEADLINE = deadline;
+  return queueBitrixCall('tasks.task.add', { fields });
+}
+
+export async function updateEntityFields({ entity, entityId, fields }) {
+  const typeId = smartProcessTypeId(entity);
+  const method = UPDATE_METHODS[entity];
+  if (!method && !typeId) {
+    throw new Error(`Entidad Bitrix24 no soportada: ${entity}`);
+  }
+  if (!entityId || !fields || !Object.keys(fields).length) return null;
+  if (typeId) return queueBitrixCall('crm.item.update', { entityTypeId: typeId, id: Number(entityId), fields });
+  return queueBitrixCall(method, { id: Number(entityId), fields });
+}
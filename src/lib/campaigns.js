@@ -0,0 +1,237 @@
+import db from './db.js';
+import { enqueueTarget } from './queue.js';
+import { ensureSender } from './senders.js';
+import { campaignPool, createSenderPicker } from './pools.js';
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Acepta ISO 8601 con zona horaria explícita y lo guarda normalizado en UTC
+export function parseScheduledAt(raw) {
+  if (raw === undefined || raw === null) return null;
+  const str = String(raw).trim();
+  if (!str) return null;
+  if (!/T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(str)) {
+    throw httpError(400, 'scheduled_at debe ser ISO 8601 con zona horaria (p. ej. 2025-03-01T09:00:00-05:00)');
+  }
+  const ts = Date.parse(str);
+  if (Number.isNaN(ts)) {
+    throw httpError(400, `scheduled_at inválido: ${str}`);
+  }
+  if (ts <= Date.now()) {
+    throw httpError(400, 'scheduled_at debe estar en el futuro');
+  }
+  return new Date(ts).toISOString();
+}
+
+/**
+ * Inserta una campaña y sus destinatarios; la usan el alta por API y las campañas de seguimiento.
+ * Cada destinatario lleva phone, vars_json y, si hace falta, status, last_error y sender_phone_id.
+ * Los números repetidos se ignoran: devuelve el id y los destinatarios que sí se insertaron.
+ */
+export function insertCampaign({
+  name,
+  template_name,
+  language,
+  sender_phone_id,
+  status = 'draft',
+  scheduled_at = null,
+  meta_json = null,
+  delivery_window = null,
+  delivery_tz = null,
+  delivery_days = null,
+  components_json = null,
+  template_category = null,
+  sender_pool_json = null,
+  sender_strategy = null,
+  bitrix_notify = null,
+  bitrix_notify_mode = null,
+  bitrix_status_field = null
+}, targets) {
+  const tx = db.transaction(() => {
+    const now = nowIso();
+    const info = db.prepare(`INSERT INTO campaigns (name, template_name, language, sender_phone_id, status, scheduled_at, created_at, total_targets, meta_json,
+      delivery_window, delivery_tz, delivery_days, components_json, template_category, sender_pool_json, sender_strategy,
+      bitrix_notify, bitrix_notify_mode, bitrix_status_field)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(name, template_name, language, sender_phone_id, status, scheduled_at, now, meta_json,
+      delivery_window, delivery_tz, delivery_days, components_json, template_category, sender_pool_json, sender_strategy,
+      bitrix_notify, bitrix_notify_mode, bitrix_status_field);
+    const campaign_id = info.lastInsertRowid;
+
+    const tStmt = db.prepare(`INSERT INTO campaign_targets (campaign_id, phone, vars_json, status, last_error, sender_phone_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+    const inserted = [];
+    for (const t of targets) {
+      try {
+        tStmt.run(campaign_id, t.phone, t.vars_json, t.status || 'queued', t.last_error || null, t.sender_phone_id || null, now, now);
+        inserted.push(t);
+      } catch (err) {
+        if (err?.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+      }
+    }
+
+    db.prepare('UPDATE campaigns SET total_targets=? WHERE id=?').run(inserted.length, campaign_id);
+    return { campaign_id, inserted };
+  });
+  return tx();
+}
+
+export function getCampaign(campaign_id) {
+  const camp = db.prepare('SELECT * FROM campaigns WHERE id=?').get(campaign_id);
+  if (!camp) throw httpError(404, 'Campaña no existe');
+  return camp;
+}
+
+// Ciclo de vida: qué estados se alcanzan desde cada uno
+export const CAMPAIGN_TRANSITIONS = {
+  draft: ['scheduled', 'running', 'canceled'],
+  scheduled: ['draft', 'running', 'canceled'],
+  running: ['paused', 'done', 'error', 'canceled'],
+  paused: ['running', 'canceled'],
+  error: ['running', 'canceled'],
+  done: [],
+  canceled: []
+};
+
+function sourcesFor(to) {
+  return Object.keys(CAMPAIGN_TRANSITIONS).filter((from) => CAMPAIGN_TRANSITIONS[from].includes(to));
+}
+
+// UPDATE condicionado al estado actual: si otro proceso cambió la campaña entre medias, falla con 409
+function transition(campaign_id, to, { from = sourcesFor(to), set = '', params = [] } = {}) {
+  const camp = getCampaign(campaign_id);
+  if (!from.includes(camp.status)) {
+    throw httpError(409, `Transición no permitida: ${camp.status} → ${to}`);
+  }
+  const placeholders = from.map(() => '?').join(',');
+  const info = db.prepare(`UPDATE campaigns SET status=?${set} WHERE id=? AND status IN (${placeholders})`)
+    .run(to, ...params, campaign_id, ...from);
+  if (!info.changes) {
+    throw httpError(409, `La campaña ${campaign_id} cambió de estado, vuelve a intentarlo`);
+  }
+  return camp;
+}
+
+export function startCampaign(campaign_id, { from = ['draft', 'scheduled', 'error'] } = {}) {
+  const camp = getCampaign(campaign_id);
+  const phone_id = ensureSender(camp.sender_phone_id);
+
+  const tx = db.transaction(() => {
+    transition(campaign_id, 'running', {
+      from,
+      set: ', sender_phone_id=?, started_at=COALESCE(started_at, ?), finished_at=NULL',
+      params: [phone_id, nowIso()]
+    });
+    const targets = db.prepare(`SELECT id, phone FROM campaign_targets WHERE campaign_id=? AND status IN ('queued','failed')`).all(campaign_id);
+    const pool = campaignPool(camp);
+    const pick = pool ? createSenderPicker(pool, camp.sender_strategy) : () => phone_id;
+    const assign = db.prepare('UPDATE campaign_targets SET sender_phone_id=? WHERE id=?');
+    for (const t of targets) {
+      const sender = pick(t.phone);
+      assign.run(sender, t.id);
+      enqueueTarget({ campaign_id, target_id: t.id, phone_id: sender });
+    }
+    return targets.length;
+  });
+
+  return { status: 'running', enqueued: tx.immediate() };
+}
+
+// Los jobs se quedan en la cola; el worker solo toma jobs de campañas en running
+export function pauseCampaign(campaign_id) {
+  transition(campaign_id, 'paused');
+  const pending = db.prepare(`SELECT COUNT(1) c FROM queue WHERE campaign_id=? AND status IN ('queued','processing')`)
+    .get(campaign_id).c;
+  return { status: 'paused', pending };
+}
+
+export function resumeCampaign(campaign_id) {
+  transition(campaign_id, 'running', { from: ['paused'] });
+  const pending = db.prepare(`SELECT COUNT(1) c FROM queue WHERE campaign_id=? AND status IN ('queued','processing')`)
+    .get(campaign_id).c;
+  return { status: 'running', pending };
+}
+
+export function cancelCampaign(campaign_id) {
+  const tx = db.transaction(() => {
+    transition(campaign_id, 'canceled');
+    const dropped = db.prepare(`DELETE FROM queue WHERE campaign_id=? AND status IN ('queued','processing')`).run(campaign_id).changes;
+    const canceled = db.prepare(`UPDATE campaign_targets SET status='canceled', updated_at=? WHERE campaign_id=? AND status IN ('queued','sending')`)
+      .run(nowIso(), campaign_id).changes;
+    return { status: 'canceled', dropped, canceled_targets: canceled };
+  });
+  return tx.immediate();
+}
+
+export function getCampaignSummary(campaign_id) {
+  const row = db.prepare(`SELECT
+      COUNT(1) total,
+      SUM(CASE WHEN status IN ('sent','delivered','read') THEN 1 ELSE 0 END) sent,
+      SUM(CASE WHEN status IN ('delivered','read') THEN 1 ELSE 0 END) delivered,
+      SUM(CASE WHEN status='read' THEN 1 ELSE 0 END) read,
+      SUM(CASE WHEN status='failed' THEN 1 ELSE 0 END) failed,
+      SUM(CASE WHEN status='canceled' THEN 1 ELSE 0 END) canceled,
+      SUM(CASE WHEN status='suppressed' THEN 1 ELSE 0 END) suppressed,
+      SUM(CASE WHEN status='capped' THEN 1 ELSE 0 END) capped,
+      SUM(CASE WHEN replied_at IS NOT NULL THEN 1 ELSE 0 END) replied
+    FROM campaign_targets WHERE campaign_id=?`).get(campaign_id);
+  const out = {};
+  for (const [key, value] of Object.entries(row || {})) out[key] = Number(value || 0);
+  return out;
+}
+
+// Cierra cada campaña en running que ya no tiene jobs ni destinatarios pendientes, sin esperar al resto
+export function finishCompletedCampaigns() {
+  const candidates = db.prepare(`SELECT c.id FROM campaigns c WHERE c.status='running'
+    AND NOT EXISTS (SELECT 1 FROM queue q WHERE q.campaign_id=c.id AND q.status IN ('queued','processing'))
+    AND NOT EXISTS (SELECT 1 FROM campaign_targets t WHERE t.campaign_id=c.id AND t.status IN ('queued','sending'))`).all();
+  const finished = [];
+  for (const { id } of candidates) {
+    const failed = db.prepare(`SELECT COUNT(1) c FROM campaign_targets WHERE campaign_id=? AND status='failed'`).get(id).c;
+    const status = failed > 0 ? 'error' : 'done';
+    try {
+      transition(id, status, { from: ['running'], set: ', finished_at=?', params: [nowIso()] });
+      finished.push({ campaign_id: id, status });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+    }
+  }
+  return finished;
+}
+
+export function scheduleCampaign(campaign_id, rawScheduledAt) {
+  const scheduled_at = parseScheduledAt(rawScheduledAt);
+  if (!scheduled_at) throw httpError(400, 'Falta scheduled_at');
+  // scheduled -> scheduled es una reprogramación
+  transition(campaign_id, 'scheduled', { from: ['draft', 'scheduled'], set: ', scheduled_at=?', params: [scheduled_at] });
+  return { status: 'scheduled', scheduled_at };
+}
+
+export function unscheduleCampaign(campaign_id) {
+  transition(campaign_id, 'draft', { from: ['scheduled'], set: ', scheduled_at=NULL' });
+  return { status: 'draft', scheduled_at: null };
+}
+
+// Arranca las campañas programadas que ya vencieron. startCampaign solo acepta `scheduled` como
+// origen, así dos workers no disparan la misma campaña.
+export function startDueCampaigns() {
+  const due = db.prepare(`SELECT id FROM campaigns WHERE status='scheduled' AND scheduled_at<=? ORDER BY scheduled_at ASC`)
+    .all(nowIso());
+  const started = [];
+  for (const { id } of due) {
+    try {
+      const result = startCampaign(id, { from: ['scheduled'] });
+      started.push({ campaign_id: id, ...result });
+    } catch (err) {
+      if (err.status === 409) continue;
+      console.error(`[scheduler] no se pudo iniciar la campaña ${id}`, err);
+      db.prepare(`UPDATE campaigns SET status='error' WHERE id=? AND status='scheduled'`).run(id);
+    }
+  }
+  return started;
+}
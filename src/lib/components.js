@@ -0,0 +1,149 @@
+const MEDIA_FORMATS = ['image', 'video', 'document'];
+const BUTTON_TYPES = ['url', 'quick_reply'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ParamSpec: "variable" | { var, default?, name? } | { value, name? }
+function normalizeParam(spec, where) {
+  if (typeof spec === 'string' && spec.trim()) return { var: spec.trim() };
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    const out = {};
+    if (spec.var !== undefined && String(spec.var).trim()) out.var = String(spec.var).trim();
+    else if (spec.value !== undefined && spec.value !== null) out.value = String(spec.value);
+    else throw httpError(400, `${where}: cada parámetro necesita "var" o "value"`);
+    if (spec.default !== undefined && spec.default !== null) out.default = String(spec.default);
+    if (spec.name !== undefined && String(spec.name).trim()) out.name = String(spec.name).trim();
+    return out;
+  }
+  throw httpError(400, `${where}: parámetro inválido ${JSON.stringify(spec)}`);
+}
+
+function normalizeParamList(list, where) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw httpError(400, `${where} debe ser una lista de parámetros`);
+  const params = list.map((spec, i) => normalizeParam(spec, `${where}[${i}]`));
+  const named = params.filter((p) => p.name).length;
+  if (named && named !== params.length) {
+    throw httpError(400, `${where}: no se pueden mezclar parámetros con nombre y posicionales`);
+  }
+  return params;
+}
+
+/**
+ * Valida el mapeo de componentes de una campaña:
+ * {
+ *   header: { format: 'text', params: [ParamSpec] } | { format: 'image'|'video'|'document', link: ParamSpec, filename?: ParamSpec },
+ *   body: [ParamSpec],
+ *   buttons: [{ index, sub_type: 'url', param: ParamSpec } | { index, sub_type: 'quick_reply', payload: ParamSpec }]
+ * }
+ * ParamSpec es el nombre de una variable del destinatario, { var, default?, name? } o { value, name? };
+ * `name` envía el parámetro como parámetro con nombre de Meta.
+ */
+export function parseComponentMapping(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  let source = raw;
+  if (typeof raw === 'string') {
+    try {
+      source = JSON.parse(raw);
+    } catch {
+      throw httpError(400, 'components debe ser JSON válido');
+    }
+  }
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw httpError(400, 'components debe ser un objeto { header, body, buttons }');
+  }
+
+  const mapping = {};
+  if (source.header) {
+    const format = String(source.header.format || 'text').toLowerCase();
+    if (format === 'text') {
+      mapping.header = { format, params: normalizeParamList(source.header.params, 'header.params') };
+    } else if (MEDIA_FORMATS.includes(format)) {
+      if (!source.header.link) throw httpError(400, `header ${format} necesita "link"`);
+      mapping.header = { format, link: normalizeParam(source.header.link, 'header.link') };
+      if (source.header.filename) mapping.header.filename = normalizeParam(source.header.filename, 'header.filename');
+    } else {
+      throw httpError(400, `Formato de header no soportado: ${format}`);
+    }
+  }
+
+  const body = normalizeParamList(source.body, 'body');
+  if (body.length) mapping.body = body;
+
+  if (source.buttons !== undefined) {
+    if (!Array.isArray(source.buttons)) throw httpError(400, 'buttons debe ser una lista');
+    mapping.buttons = source.buttons.map((button, i) => {
+      const sub_type = String(button?.sub_type || '').toLowerCase();
+      const index = Number(button?.index);
+      if (!BUTTON_TYPES.includes(sub_type)) throw httpError(400, `buttons[${i}].sub_type debe ser url o quick_reply`);
+      if (!Number.isInteger(index) || index < 0 || index > 9) throw httpError(400, `buttons[${i}].index inválido`);
+      const spec = sub_type === 'url' ? button.param : button.payload;
+      if (spec === undefined) throw httpError(400, `buttons[${i}] necesita "${sub_type === 'url' ? 'param' : 'payload'}"`);
+      return { index, sub_type, value: normalizeParam(spec, `buttons[${i}]`) };
+    });
+  }
+
+  return mapping;
+}
+
+function resolveValue(spec, vars) {
+  if (spec.value !== undefined) return spec.value;
+  const raw = vars?.[spec.var];
+  if (raw !== undefined && raw !== null && String(raw) !== '') return String(raw);
+  if (spec.default !== undefined) return spec.default;
+  throw new Error(`Falta la variable "${spec.var}" para la plantilla`);
+}
+
+function textParam(spec, vars) {
+  const param = { type: 'text', text: resolveValue(spec, vars) };
+  if (spec.name) param.parameter_name = spec.name;
+  return param;
+}
+
+function mediaParam(format, header, vars) {
+  const ref = resolveValue(header.link, vars);
+  const media = /^https?:\/\//i.test(ref) ? { link: ref } : { id: ref };
+  if (format === 'document' && header.filename) media.filename = resolveValue(header.filename, vars);
+  return { type: format, [format]: media };
+}
+
+// Sin mapeo se mantiene el comportamiento anterior: body posicional en el orden de vars_json
+function legacyComponents(vars) {
+  const bodyParams = Object.entries(vars || {})
+    .filter(([key]) => !String(key).startsWith('_'))
+    .map(([, value]) => ({ type: 'text', text: String(value) }));
+  return bodyParams.length ? [{ type: 'body', parameters: bodyParams }] : [];
+}
+
+export function buildTemplateComponents(mapping, vars = {}) {
+  if (!mapping) return legacyComponents(vars);
+  const components = [];
+
+  if (mapping.header) {
+    const { format } = mapping.header;
+    const parameters = format === 'text'
+      ? mapping.header.params.map((spec) => textParam(spec, vars))
+      : [mediaParam(format, mapping.header, vars)];
+    if (parameters.length) components.push({ type: 'header', parameters });
+  }
+
+  if (mapping.body?.length) {
+    components.push({ type: 'body', parameters: mapping.body.map((spec) => textParam(spec, vars)) });
+  }
+
+  for (const button of mapping.buttons || []) {
+    const value = resolveValue(button.value, vars);
+    components.push({
+      type: 'button',
+      sub_type: button.sub_type,
+      index: String(button.index),
+      parameters: [button.sub_type === 'url' ? { type: 'text', text: value } : { type: 'payload', payload: value }]
+    });
+  }
+
+  return components;
+}
@@ -6,14 +6,77 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DB_PATH = path.join(__dirname, '../../data/wsp_campaigns.db');
+// DB_PATH=:memory: da una base vacía por proceso (la usan las pruebas)
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../../data/wsp_campaigns.db');
 const SCHEMA_PATH = path.join(__dirname, '../schema.sql');
 
-fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+if (DB_PATH !== ':memory:') fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
 
 const db = new Database(DB_PATH);
 
 const schema = fs.readFileSync(SCHEMA_PATH, 'utf-8');
 db.exec(schema);
 
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+// Columnas añadidas tras la primera versión del esquema (bases de datos ya creadas)
+ensureColumn('campaigns', 'delivery_window', 'TEXT');
+ensureColumn('campaigns', 'delivery_tz', 'TEXT');
+ensureColumn('campaigns', 'delivery_days', 'TEXT');
+ensureColumn('campaigns', 'started_at', 'TEXT');
+ensureColumn('campaigns', 'finished_at', 'TEXT');
+ensureColumn('campaigns', 'components_json', 'TEXT');
+ensureColumn('campaigns', 'template_category', 'TEXT');
+ensureColumn('campaigns', 'sender_pool_json', 'TEXT');
+ensureColumn('campaigns', 'sender_strategy', 'TEXT');
+ensureColumn('campaigns', 'bitrix_notify', 'TEXT');
+ensureColumn('campaigns', 'bitrix_notify_mode', 'TEXT');
+ensureColumn('campaigns', 'bitrix_status_field', 'TEXT');
+// Las campañas cerradas antes de esta columna ya publicaron su resumen al terminar
+if (ensureColumn('campaigns', 'summary_posted_at', 'TEXT')) {
+  db.exec('UPDATE campaigns SET summary_posted_at=finished_at WHERE finished_at IS NOT NULL');
+}
+ensureColumn('campaign_targets', 'error_category', 'TEXT');
+ensureColumn('campaign_targets', 'replied_at', 'TEXT');
+ensureColumn('campaign_targets', 'sent_at', 'TEXT');
+ensureColumn('campaign_targets', 'sender_phone_id', 'TEXT');
+ensureColumn('campaign_targets', 'delivered_at', 'TEXT');
+ensureColumn('campaign_targets', 'read_at', 'TEXT');
+ensureColumn('campaign_targets', 'failed_at', 'TEXT');
+ensureColumn('campaign_targets', 'bitrix_comment_id', 'TEXT');
+ensureColumn('events', 'status_ts', 'TEXT');
+ensureColumn('events', 'phone', 'TEXT');
+ensureColumn('events', 'phone_id', 'TEXT');
+ensureColumn('senders', 'status', "TEXT NOT NULL DEFAULT 'active'");
+ensureColumn('senders', 'status_reason', 'TEXT');
+ensureColumn('senders', 'status_changed_at', 'TEXT');
+ensureColumn('senders', 'waba_id', 'TEXT');
+ensureColumn('senders', 'access_token_enc', 'TEXT');
+for (const column of ['display_phone_number', 'verified_name', 'quality_rating', 'messaging_limit_tier', 'meta_status', 'meta_synced_at', 'meta_error']) {
+  ensureColumn('senders', column, 'TEXT');
+}
+ensureColumn('queue', 'last_error', 'TEXT');
+ensureColumn('queue', 'error_category', 'TEXT');
+ensureColumn('queue', 'lease_owner', 'TEXT');
+ensureColumn('queue', 'lease_expires_at', 'INTEGER');
+ensureColumn('robot_invocations', 'checked_at', 'TEXT');
+ensureColumn('session_messages', 'template_category', 'TEXT');
+ensureColumn('media_files', 'reply_comment', 'TEXT');
+ensureColumn('robot_invocations', 'due_at', 'INTEGER');
+
+// Índices sobre columnas añadidas por ensureColumn (no pueden ir en schema.sql)
+db.exec('CREATE INDEX IF NOT EXISTS idx_targets_phone_sent ON campaign_targets(phone, sent_at)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_targets_sender_sent ON campaign_targets(sender_phone_id, sent_at)');
+// Los eventos anteriores tienen status_ts NULL y no chocan con el índice único
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_events_dedupe ON events(wa_message_id, type, status_ts)');
+// Ventana de 24 h: último mensaje entrante por teléfono. Las respuestas anteriores traen el teléfono en el payload
+db.exec('CREATE INDEX IF NOT EXISTS idx_events_phone ON events(phone, type)');
+db.exec(`UPDATE events SET phone=json_extract(payload_json, '$.from')
+  WHERE type='reply' AND phone IS NULL AND json_extract(payload_json, '$.from') IS NOT NULL`);
+
 export default db;
@@ -0,0 +1,70 @@
+import db from './db.js';
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function normalizeCategory(raw) {
+  const value = String(raw || '').trim().toUpperCase();
+  return value || null;
+}
+
+/**
+ * Límites de envío por teléfono: "categoria:N/ventana" separados por comas, p. ej.
+ * "marketing:2/24h,*:4/7d". `*` cuenta las plantillas de cualquier categoría.
+ */
+export function parseFrequencyCaps(raw) {
+  const caps = [];
+  for (const item of String(raw || '').split(',')) {
+    const token = item.trim();
+    if (!token) continue;
+    const match = token.match(/^([A-Za-z_*]+)\s*:\s*(\d+)\s*\/\s*(\d+)\s*([mhd])$/i);
+    if (!match) throw httpError(400, `Límite de frecuencia inválido: ${token} (usa categoria:N/24h)`);
+    const [, category, max, amount, unit] = match;
+    caps.push({
+      category: category === '*' ? '*' : normalizeCategory(category),
+      max: Number(max),
+      window: `${amount}${unit.toLowerCase()}`,
+      window_ms: Number(amount) * UNIT_MS[unit.toLowerCase()]
+    });
+  }
+  return caps;
+}
+
+// Un FREQUENCY_CAPS mal escrito detiene el arranque en lugar de enviar sin límites
+const FREQUENCY_CAPS = parseFrequencyCaps(process.env.FREQUENCY_CAPS);
+
+export function getFrequencyCaps() {
+  return FREQUENCY_CAPS;
+}
+
+// Plantillas de campañas y de respaldo de los mensajes de sesión (las que Meta aceptó)
+function countSent(phone, { since, category }) {
+  const any = category === '*';
+  const campaigns = db.prepare(`SELECT COUNT(1) c FROM campaign_targets t JOIN campaigns c ON c.id=t.campaign_id
+    WHERE t.phone=? AND t.sent_at>=? ${any ? '' : 'AND c.template_category=?'}`).get(...(any ? [phone, since] : [phone, since, category])).c;
+  const fallbacks = db.prepare(`SELECT COUNT(1) c FROM session_messages WHERE via='template' AND phone=? AND created_at>=?
+    AND wa_message_id IS NOT NULL ${any ? '' : 'AND template_category=?'}`).get(...(any ? [phone, since] : [phone, since, category])).c;
+  return campaigns + fallbacks;
+}
+
+// Envíos de un teléfono dentro de cada límite que le aplica a `category`
+export function frequencyUsage(phone, category, { now = Date.now(), caps = getFrequencyCaps() } = {}) {
+  const normalized = normalizeCategory(category);
+  return caps
+    .filter((cap) => cap.category === '*' || cap.category === normalized)
+    .map((cap) => ({
+      ...cap,
+      sent: countSent(phone, { since: new Date(now - cap.window_ms).toISOString(), category: cap.category })
+    }));
+}
+
+// Devuelve el motivo ("cap:MARKETING:2/24h") si un envío más superaría algún límite; null si puede enviarse
+export function checkFrequencyCap(phone, category, opts = {}) {
+  const reached = frequencyUsage(phone, category, opts).find((usage) => usage.sent >= usage.max);
+  return reached ? `cap:${reached.category}:${reached.max}/${reached.window}` : null;
+}
@@ -0,0 +1,274 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { fileURLToPath } from 'url';
+import db from './db.js';
+import { normalizePhone } from './phone.js';
+import { WA_BASE, WA_TIMEOUT_MS, classifySendError } from './wa.js';
+import { getSenderCredentials } from './senders.js';
+import { enqueueTimelineFile, enqueueTimelineComment } from './outbox.js';
+import { extractBitrixMeta, campaignNotifyPolicy } from './notifications.js';
+import { forwardInboundMedia } from './openlines.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MEDIA_DIR = path.join(__dirname, '../../data/media');
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 16 * 1024 * 1024);
+const MAX_ATTEMPTS = Number(process.env.MEDIA_MAX_ATTEMPTS || 5);
+const RETRY_MS = 60 * 1000;
+// La descarga del archivo puede llevar más que una llamada normal a la Graph API
+const DOWNLOAD_TIMEOUT_MS = Number(process.env.MEDIA_HTTP_TIMEOUT_MS || 60000);
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+const LABELS = { image: 'imagen', video: 'vídeo', audio: 'audio', voice: 'nota de voz', document: 'documento', sticker: 'sticker' };
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt'
+};
+
+function nowIso() { return new Date().toISOString(); }
+
+function mediaLabel(type, voice) {
+  return LABELS[voice ? 'voice' : type] || type;
+}
+
+/**
+ * Texto legible de un mensaje entrante para comentarios y chats: el texto o botón pulsado, o una
+ * etiqueta con el pie de foto en archivos, la dirección y enlace al mapa en ubicaciones, etc.
+ */
+export function describeInbound(message) {
+  const text = message?.text?.body
+    || message?.button?.text
+    || message?.interactive?.button_reply?.title
+    || message?.interactive?.list_reply?.title;
+  if (text) return text;
+  const type = message?.type;
+  if (MEDIA_TYPES.includes(type)) {
+    const media = message[type] || {};
+    const label = `[${mediaLabel(type, media.voice)}${media.filename ? `: ${media.filename}` : ''}]`;
+    return media.caption ? `${label} ${media.caption}` : label;
+  }
+  if (type === 'location') {
+    const loc = message.location || {};
+    const place = [loc.name, loc.address].filter(Boolean).join(', ');
+    return `[ubicación] ${place ? `${place} ` : ''}https://maps.google.com/?q=${loc.latitude},${loc.longitude}`;
+  }
+  if (type === 'contacts') {
+    const names = (Array.isArray(message.contacts) ? message.contacts : []).map((c) => c?.name?.formatted_name).filter(Boolean);
+    return `[contacto] ${names.join(', ')}`.trim();
+  }
+  if (type === 'reaction') return `[reacción ${message.reaction?.emoji || ''}]`.replace(' ]', ']');
+  return type ? `[${type}]` : '';
+}
+
+/**
+ * Registra el archivo de un mensaje entrante para descargarlo en segundo plano (el webhook se
+ * procesa dentro de una transacción y no puede esperar a Meta). Devuelve el id o null.
+ */
+export function captureInboundMedia({ message, phone_id = null, profileName = null, target = null, replyComment = null }) {
+  const type = message?.type;
+  const media = MEDIA_TYPES.includes(type) ? message[type] : null;
+  if (!media?.id || !message.from) return null;
+  const now = nowIso();
+  const info = db.prepare(`INSERT OR IGNORE INTO media_files (wa_message_id, media_id, phone, phone_id, type, voice, mime_type, sha256,
+    caption, filename, access_token, target_id, reply_comment, profile_name, message_ts, available_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+    message.id || null,
+    String(media.id),
+    normalizePhone(message.from),
+    phone_id,
+    type,
+    media.voice ? 1 : 0,
+    media.mime_type || null,
+    media.sha256 || null,
+    media.caption || null,
+    media.filename || null,
+    crypto.randomBytes(16).toString('hex'),
+    target?.id ?? null,
+    replyComment,
+    profileName,
+    message.timestamp ? String(message.timestamp) : null,
+    Date.now(),
+    now,
+    now
+  );
+  return info.changes ? info.lastInsertRowid : null;
+}
+
+function tooLarge(size) {
+  const err = new Error(`El archivo (${size} bytes) supera MEDIA_MAX_BYTES (${MAX_BYTES})`);
+  err.tooLarge = true;
+  return err;
+}
+
+function fileNameFor(row, mime) {
+  const safe = String(row.filename || '').replace(/[^\w.\- ]+/g, '_').trim().slice(0, 120);
+  if (safe) return `${row.id}-${safe}`;
+  const ext = EXTENSIONS[mime] || 'bin';
+  return `${row.id}-${mediaLabel(row.type, row.voice).replace(/\W+/g, '_')}.${ext}`;
+}
+
+// GET /{media_id} da una URL temporal (5 min) que se descarga con el mismo token
+async function download(row) {
+  const { token } = getSenderCredentials(row.phone_id || process.env.WA_PHONE_NUMBER_ID);
+  const headers = { Authorization: `Bearer ${token}` };
+  const params = row.phone_id ? { phone_number_id: row.phone_id } : {};
+  const { data: info } = await axios.get(`${WA_BASE}/${row.media_id}`, { headers, params, timeout: WA_TIMEOUT_MS });
+  if (Number(info?.file_size) > MAX_BYTES) throw tooLarge(info.file_size);
+  let res;
+  try {
+    res = await axios.get(info.url, { headers, responseType: 'arraybuffer', maxContentLength: MAX_BYTES, timeout: DOWNLOAD_TIMEOUT_MS });
+  } catch (err) {
+    if (String(err?.message || '').includes('maxContentLength')) throw tooLarge(`más de ${MAX_BYTES}`);
+    throw err;
+  }
+  const buffer = Buffer.from(res.data);
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const expected = info.sha256 || row.sha256;
+  if (expected && /^[0-9a-f]{64}$/i.test(expected) && expected.toLowerCase() !== sha256) {
+    throw new Error('El archivo descargado no coincide con su sha256');
+  }
+  const mime = String(info.mime_type || row.mime_type || res.headers?.['content-type'] || 'application/octet-stream').split(';')[0].trim();
+  const relative = path.join(row.phone, fileNameFor(row, mime));
+  fs.mkdirSync(path.join(MEDIA_DIR, row.phone), { recursive: true });
+  fs.writeFileSync(path.join(MEDIA_DIR, relative), buffer);
+  db.prepare(`UPDATE media_files SET status='stored', mime_type=?, sha256=?, size=?, path=?, attempts=attempts+1, error=NULL, updated_at=? WHERE id=?`)
+    .run(mime, sha256, buffer.length, relative, nowIso(), row.id);
+  return db.prepare('SELECT * FROM media_files WHERE id=?').get(row.id);
+}
+
+// El prefijo con el id solo evita choques en disco
+function displayName(row) {
+  return path.basename(row.path).replace(/^\d+-/, '');
+}
+
+// En modo comment la respuesta se publica aquí, en un único comentario con el archivo adjunto (o con
+// una nota si no se pudo descargar). En single y field el aviso ya salió al recibirla.
+function attachToTarget(row, note = null) {
+  if (!row.target_id || !row.reply_comment) return;
+  const target = db.prepare('SELECT * FROM campaign_targets WHERE id=?').get(row.target_id);
+  const meta = extractBitrixMeta(target);
+  if (!meta?.entity || !meta?.id) return;
+  const camp = db.prepare('SELECT bitrix_notify, bitrix_notify_mode, bitrix_status_field FROM campaigns WHERE id=?').get(target.campaign_id);
+  const policy = campaignNotifyPolicy(camp);
+  if (policy.mode !== 'comment' || !policy.events.split(',').includes('reply')) return;
+  const entity = { entity: meta.entity, entityId: meta.id };
+  if (row.status === 'stored') {
+    enqueueTimelineFile({ ...entity, comment: row.reply_comment, file: { path: path.join(MEDIA_DIR, row.path), name: displayName(row) } });
+  } else {
+    enqueueTimelineComment({ ...entity, comment: [row.reply_comment, note].filter(Boolean).join(' ') });
+  }
+}
+
+export function mediaPublicUrl(row) {
+  return PUBLIC_URL ? `${PUBLIC_URL}/media/${row.id}/${row.access_token}` : null;
+}
+
+// Canales Abiertos recibe el archivo por URL; sin PUBLIC_URL (o si no se pudo descargar) va solo el texto
+function forwardToOpenLines(row, note = null) {
+  const label = `[${mediaLabel(row.type, row.voice)}${row.filename ? `: ${row.filename}` : ''}]`;
+  const url = row.status === 'stored' ? mediaPublicUrl(row) : null;
+  const text = url ? (row.caption || label) : [label, row.caption, note].filter(Boolean).join(' ');
+  forwardInboundMedia({
+    wa_message_id: row.wa_message_id,
+    timestamp: row.message_ts,
+    profileName: row.profile_name,
+    text,
+    files: url ? [{ url, name: displayName(row) }] : null
+  });
+}
+
+/**
+ * Descarga los archivos pendientes, los adjunta a la línea de tiempo de la entidad y los reenvía
+ * a Canales Abiertos. Los fallos transitorios (también los timeouts) se reintentan hasta MEDIA_MAX_ATTEMPTS; los archivos
+ * mayores que MEDIA_MAX_BYTES quedan en too_large sin descargarse.
+ */
+export async function processInboundMedia({ limit = 5 } = {}) {
+  const rows = db.prepare(`SELECT * FROM media_files WHERE status='pending' AND available_at<=? ORDER BY id ASC LIMIT ?`)
+    .all(Date.now(), limit);
+  let stored = 0;
+  let failed = 0;
+  for (const row of rows) {
+    try {
+      const saved = await download(row);
+      db.transaction(() => {
+        attachToTarget(saved);
+        forwardToOpenLines(saved);
+      })();
+      stored += 1;
+    } catch (err) {
+      const failure = err.tooLarge ? { category: 'permanent', reason: err.message } : classifySendError(err);
+      const attempts = row.attempts + 1;
+      const retry = !err.tooLarge && !['permanent', 'auth'].includes(failure.category) && attempts < MAX_ATTEMPTS;
+      const status = retry ? 'pending' : (err.tooLarge ? 'too_large' : 'failed');
+      db.prepare('UPDATE media_files SET status=?, attempts=?, error=?, available_at=?, updated_at=? WHERE id=?')
+        .run(status, attempts, failure.reason.slice(0, 500), Date.now() + RETRY_MS * attempts, nowIso(), row.id);
+      if (!retry) {
+        console.error(`[media] no se pudo descargar ${row.media_id}: ${failure.reason}`);
+        const note = err.tooLarge ? '(archivo demasiado grande, no se descargó)' : '(no se pudo descargar el archivo)';
+        db.transaction(() => {
+          attachToTarget({ ...row, status }, note);
+          forwardToOpenLines({ ...row, status }, note);
+        })();
+      }
+      failed += 1;
+    }
+  }
+  return { stored, failed };
+}
+
+// Borra del disco los archivos con más de `olderThanMs`; la fila queda como expired (sin URL pública)
+export function purgeMedia(olderThanMs) {
+  const cutoff = new Date(Date.now() - olderThanMs).toISOString();
+  const rows = db.prepare(`SELECT id, path FROM media_files WHERE status='stored' AND created_at<?`).all(cutoff);
+  const expire = db.prepare(`UPDATE media_files SET status='expired', path=NULL, updated_at=? WHERE id=?`);
+  for (const row of rows) {
+    try {
+      fs.unlinkSync(path.join(MEDIA_DIR, row.path));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    expire.run(nowIso(), row.id);
+  }
+  return rows.length;
+}
+
+// Archivo servido en /media/:id/:token; null si no existe o el token no coincide
+export function getMediaFile(id, token) {
+  const row = db.prepare(`SELECT * FROM media_files WHERE id=? AND status='stored'`).get(Number(id));
+  if (!row || !token) return null;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(row.access_token);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  return { path: path.join(MEDIA_DIR, row.path), mime_type: row.mime_type, name: displayName(row) };
+}
+
+export function listMedia({ phone = null, status = null, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (phone) {
+    where.push('phone=?');
+    params.push(normalizePhone(phone));
+  }
+  if (status) {
+    where.push('status=?');
+    params.push(status);
+  }
+  return db.prepare(`SELECT * FROM media_files ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset)
+    .map(({ access_token, ...row }) => ({ ...row, url: row.status === 'stored' ? mediaPublicUrl({ ...row, access_token }) : null }));
+}
+
@@ -0,0 +1,120 @@
+import db from './db.js';
+import { enqueueTimelineComment, enqueueTimelineUpsert, enqueueEntityUpdate } from './outbox.js';
+
+export const NOTIFY_EVENTS = ['sent', 'delivered', 'read', 'failed', 'reply'];
+export const NOTIFY_MODES = ['comment', 'single', 'field'];
+
+const EVENT_ALIASES = {
+  all: NOTIFY_EVENTS,
+  none: [],
+  replies: ['reply'],
+  failures: ['failed']
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Eventos que se reflejan en Bitrix24: all, none, replies, failures o una lista
+ * de sent,delivered,read,failed,reply (se pueden combinar: "replies,failures").
+ * Devuelve la lista normalizada separada por comas ('' = ninguno).
+ */
+export function parseNotifyEvents(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const items = Array.isArray(raw) ? raw : String(raw).split(/[\s,;]+/);
+  const events = new Set();
+  for (const item of items) {
+    const token = String(item || '').trim().toLowerCase();
+    if (!token) continue;
+    const expanded = EVENT_ALIASES[token] || (NOTIFY_EVENTS.includes(token) ? [token] : null);
+    if (!expanded) throw httpError(400, `bitrix_notify inválido: ${token} (usa all, none, replies, failures o ${NOTIFY_EVENTS.join(',')})`);
+    expanded.forEach((e) => events.add(e));
+  }
+  return NOTIFY_EVENTS.filter((e) => events.has(e)).join(',');
+}
+
+export function parseNotifyMode(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const mode = String(raw).trim().toLowerCase();
+  if (!NOTIFY_MODES.includes(mode)) throw httpError(400, `bitrix_notify_mode debe ser ${NOTIFY_MODES.join(', ')}`);
+  return mode;
+}
+
+/**
+ * Política de avisos de una campaña: qué eventos y cómo (comment = un comentario por evento,
+ * single = un único comentario por destinatario que se actualiza, field = escribe el estado
+ * en un campo de la entidad). Lo que no se indique toma BITRIX_NOTIFY* del entorno.
+ */
+export function parseNotifyPolicy({ events, mode, field } = {}, defaults = DEFAULT_POLICY) {
+  const policy = {
+    events: parseNotifyEvents(events) ?? defaults.events,
+    mode: parseNotifyMode(mode) ?? defaults.mode,
+    field: String(field || '').trim() || defaults.field || null
+  };
+  if (policy.mode === 'field' && !policy.field) {
+    throw httpError(400, 'bitrix_notify_mode=field necesita bitrix_status_field (o BITRIX_STATUS_FIELD)');
+  }
+  if (policy.mode !== 'field') policy.field = null;
+  return policy;
+}
+
+// Un BITRIX_NOTIFY mal escrito detiene el arranque en lugar de inundar (o silenciar) Bitrix24
+const DEFAULT_POLICY = parseNotifyPolicy({
+  events: process.env.BITRIX_NOTIFY,
+  mode: process.env.BITRIX_NOTIFY_MODE,
+  field: process.env.BITRIX_STATUS_FIELD
+}, { events: NOTIFY_EVENTS.join(','), mode: 'comment', field: null });
+
+export function getDefaultNotifyPolicy() {
+  return DEFAULT_POLICY;
+}
+
+export function campaignNotifyPolicy(camp) {
+  if (!camp || camp.bitrix_notify === null || camp.bitrix_notify === undefined) return DEFAULT_POLICY;
+  return {
+    events: camp.bitrix_notify,
+    mode: camp.bitrix_notify_mode || 'comment',
+    field: camp.bitrix_status_field || null
+  };
+}
+
+// Dueño del teléfono (para la marca de baja): el contacto o compañía del que salió el número (`via`) o la propia entidad
+export function phoneOwnerOf(meta) {
+  if (meta?.via?.entity && meta?.via?.id) return { entity: meta.via.entity, entityId: meta.via.id };
+  return meta?.entity && meta?.id ? { entity: meta.entity, entityId: meta.id } : null;
+}
+
+export function extractBitrixMeta(target) {
+  if (!target) return null;
+  try {
+    const vars = JSON.parse(target.vars_json || '{}');
+    return vars?._bitrix || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Refleja en Bitrix24 un evento de un destinatario según la política de su campaña.
+ * `comment` es el texto para la línea de tiempo y `value` lo que se escribe en el campo.
+ * Con `deferComment` el modo comment no publica nada: el comentario sale después con su
+ * archivo adjunto (ver media.js).
+ */
+export function notifyTarget(target, event, { comment, value, deferComment = false }) {
+  const meta = extractBitrixMeta(target);
+  if (!meta?.entity || !meta?.id) return;
+  const camp = db.prepare('SELECT bitrix_notify, bitrix_notify_mode, bitrix_status_field FROM campaigns WHERE id=?').get(target.campaign_id);
+  const policy = campaignNotifyPolicy(camp);
+  if (!policy.events.split(',').includes(event)) return;
+
+  if (policy.mode === 'field') {
+    enqueueEntityUpdate({ entity: meta.entity, entityId: meta.id, fields: { [policy.field]: value } });
+  } else if (policy.mode === 'single') {
+    enqueueTimelineUpsert({ targetId: target.id, entity: meta.entity, entityId: meta.id, comment });
+  } else if (!deferComment) {
+    enqueueTimelineComment({ entity: meta.entity, entityId: meta.id, comment });
+  }
+}
@@ -0,0 +1,267 @@
+import db from './db.js';
+import { callBitrix } from './bitrix.js';
+import { enqueueBitrixCall } from './outbox.js';
+import { normalizePhone } from './phone.js';
+import { sendText, markRead, classifySendError } from './wa.js';
+import { getSessionWindow } from './session.js';
+
+export const CONNECTOR_ID = process.env.OPENLINES_CONNECTOR_ID || 'wa_cloud_campaigns';
+const LINE_ID = process.env.OPENLINES_LINE_ID || '';
+const MAX_ATTEMPTS = 3;
+const RETRY_MS = 30 * 1000;
+
+const ICON = {
+  DATA_IMAGE: 'data:image/svg+xml;charset=US-ASCII,%3Csvg%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%20viewBox%3D%220%200%2070%2071%22%3E%3Cpath%20fill%3D%22%23FFF%22%20d%3D%22M35%205C18.4%205%205%2018.4%205%2035c0%205.6%201.5%2010.8%204.2%2015.3L5%2066l16.2-4.1C25.5%2064.5%2030.1%2066%2035%2066c16.6%200%2030-13.4%2030-30.5S51.6%205%2035%205z%22%2F%3E%3C%2Fsvg%3E',
+  COLOR: '#25D366',
+  SIZE: '90%',
+  POSITION: 'center'
+};
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function isOpenLinesEnabled() {
+  return Boolean(LINE_ID);
+}
+
+// El chat externo identifica al cliente y al número del negocio al que escribió
+export function chatIdFor(phone_id, phone) {
+  return `${phone_id}:${phone}`;
+}
+
+export function parseChatId(chatId) {
+  const [phone_id, phone] = String(chatId || '').split(':');
+  if (!phone_id || !phone) throw httpError(400, `Chat de Canales Abiertos desconocido: ${chatId}`);
+  return { phone_id, phone };
+}
+
+/**
+ * Registra el conector en el portal, enlaza el evento de mensajes del operador y lo activa
+ * en la línea. `baseUrl` es la URL pública del API.
+ */
+export async function installConnector({ baseUrl, line = LINE_ID }) {
+  if (!baseUrl) throw httpError(400, 'Falta base_url (o PUBLIC_URL) para registrar el conector');
+  if (!line) throw httpError(400, 'Falta line (o OPENLINES_LINE_ID) para activar el conector');
+  await callBitrix('imconnector.register', {
+    ID: CONNECTOR_ID,
+    NAME: 'WhatsApp Business (campañas)',
+    ICON,
+    PLACEMENT_HANDLER: `${baseUrl}/bitrix/openlines/settings`
+  });
+  try {
+    await callBitrix('event.bind', { event: 'OnImConnectorMessageAdd', handler: `${baseUrl}/bitrix/openlines/event` });
+  } catch (err) {
+    // Reinstalar no es un error: el evento ya estaba enlazado
+    if (!/already binded/i.test(err?.response?.data?.error_description || '')) throw err;
+  }
+  await activateConnector(line, { baseUrl });
+  return { connector: CONNECTOR_ID, line: String(line) };
+}
+
+export async function activateConnector(line, { baseUrl = '' } = {}) {
+  await callBitrix('imconnector.activate', { CONNECTOR: CONNECTOR_ID, LINE: Number(line), ACTIVE: 1 });
+  await callBitrix('imconnector.connector.data.set', {
+    CONNECTOR: CONNECTOR_ID,
+    LINE: Number(line),
+    DATA: { id: `${CONNECTOR_ID}_${line}`, url: baseUrl, url_im: baseUrl, name: 'WhatsApp Business' }
+  });
+}
+
+function enqueueInbound({ phone, phone_id, wa_message_id, timestamp, text, profileName, files = null }) {
+  const chatId = chatIdFor(phone_id, phone);
+  const seconds = Number(timestamp);
+  const message = { id: wa_message_id, date: Number.isFinite(seconds) && seconds > 0 ? seconds : Math.floor(Date.now() / 1000), text };
+  if (files?.length) message.files = files;
+  return enqueueBitrixCall('imconnector.send.messages', {
+    CONNECTOR: CONNECTOR_ID,
+    LINE: Number(LINE_ID),
+    MESSAGES: [{
+      user: { id: phone, name: profileName || `+${phone}`, phone: `+${phone}`, skip_phone_validate: 'Y' },
+      message,
+      chat: { id: chatId, name: `WhatsApp +${phone}` }
+    }]
+  });
+}
+
+/**
+ * Reenvía al chat de Canales Abiertos un mensaje entrante de WhatsApp (vía outbox, así se
+ * conserva el orden y se reintenta si Bitrix24 no responde). Con `deferred` solo se registra:
+ * el mensaje lleva un archivo y se reenvía al descargarlo (forwardInboundMedia).
+ */
+export function forwardInbound({ message, phone_id, profileName = null, text, deferred = false }) {
+  if (!isOpenLinesEnabled() || !message?.from || !phone_id) return null;
+  const phone = normalizePhone(message.from);
+  const now = nowIso();
+  db.prepare(`INSERT INTO openline_messages (direction, chat_id, phone, phone_id, line, wa_message_id, text, status, created_at, updated_at)
+    VALUES ('in', ?, ?, ?, ?, ?, ?, 'received', ?, ?)`).run(chatIdFor(phone_id, phone), phone, phone_id, LINE_ID, message.id || null, text, now, now);
+  if (deferred) return null;
+  return enqueueInbound({ phone, phone_id, wa_message_id: message.id, timestamp: message.timestamp, text, profileName });
+}
+
+// files: [{ url, name }] con URL pública (Bitrix24 descarga el archivo desde ahí)
+export function forwardInboundMedia({ wa_message_id, timestamp, profileName = null, text, files = null }) {
+  if (!isOpenLinesEnabled()) return null;
+  const row = db.prepare(`SELECT * FROM openline_messages WHERE direction='in' AND wa_message_id=?`).get(wa_message_id);
+  if (!row) return null;
+  return enqueueInbound({ phone: row.phone, phone_id: row.phone_id, wa_message_id, timestamp, text, profileName, files });
+}
+
+// BB-code de Bitrix24 → formato de WhatsApp
+export function bbcodeToWhatsApp(text) {
+  return String(text || '')
+    .replace(/\[br\]/gi, '\n')
+    .replace(/\[b\]([\s\S]*?)\[\/b\]/gi, '*$1*')
+    .replace(/\[i\]([\s\S]*?)\[\/i\]/gi, '_$1_')
+    .replace(/\[s\]([\s\S]*?)\[\/s\]/gi, '~$1~')
+    .replace(/\[url=([^\]]+)\]([\s\S]*?)\[\/url\]/gi, '$2 ($1)')
+    .replace(/\[\/?[a-z]+(=[^\]]*)?\]/gi, '')
+    .trim();
+}
+
+/**
+ * Guarda los mensajes de operador de un evento OnImConnectorMessageAdd para enviarlos a
+ * WhatsApp. Devuelve cuántos se encolaron (los repetidos por Bitrix24 se ignoran).
+ */
+export function receiveOperatorMessages(data = {}) {
+  if (data.CONNECTOR && data.CONNECTOR !== CONNECTOR_ID) return 0;
+  const messages = Array.isArray(data.MESSAGES) ? data.MESSAGES : Object.values(data.MESSAGES || {});
+  const insert = db.prepare(`INSERT OR IGNORE INTO openline_messages (direction, chat_id, phone, phone_id, line, im_chat_id, im_message_id,
+    text, status, available_at, created_at, updated_at) VALUES ('out', ?, ?, ?, ?, ?, ?, ?, 'queued', ?, ?, ?)`);
+  let queued = 0;
+  const now = nowIso();
+  for (const item of messages) {
+    let chat;
+    try {
+      chat = parseChatId(item?.chat?.id);
+    } catch (err) {
+      // Un chat ajeno al conector no debe tumbar el resto del lote
+      console.warn('[openlines] mensaje de operador ignorado:', err.message);
+      continue;
+    }
+    const { phone_id, phone } = chat;
+    const files = Array.isArray(item?.message?.files) ? item.message.files : Object.values(item?.message?.files || {});
+    const text = [bbcodeToWhatsApp(item?.message?.text), ...files.map((f) => f?.link).filter(Boolean)].filter(Boolean).join('\n');
+    if (!text) continue;
+    queued += insert.run(item.chat.id, phone, phone_id, data.LINE ? String(data.LINE) : LINE_ID, String(item?.im?.chat_id || ''),
+      String(item?.im?.message_id || ''), text, Date.now(), now, now).changes;
+  }
+  return queued;
+}
+
+function statusParams(row) {
+  return {
+    CONNECTOR: CONNECTOR_ID,
+    LINE: Number(row.line || LINE_ID),
+    MESSAGES: [{ im: { chat_id: row.im_chat_id, message_id: row.im_message_id }, message: { id: [row.wa_message_id] }, chat: { id: row.chat_id } }]
+  };
+}
+
+// Un error visible para el operador dentro del propio chat
+function notifyOperatorFailure(row, reason) {
+  if (!row.im_chat_id) return;
+  enqueueBitrixCall('im.message.add', {
+    DIALOG_ID: `chat${row.im_chat_id}`,
+    SYSTEM: 'Y',
+    MESSAGE: `[WhatsApp] No se pudo entregar el mensaje: ${reason}`
+  });
+}
+
+// Responder implica haber leído: se marca como leído en WhatsApp lo último que escribió el cliente
+async function markChatRead(row) {
+  const last = db.prepare(`SELECT id, wa_message_id FROM openline_messages WHERE direction='in' AND chat_id=? AND status='received'
+    ORDER BY id DESC LIMIT 1`).get(row.chat_id);
+  if (!last?.wa_message_id) return;
+  try {
+    await markRead({ phone_id: row.phone_id, message_id: last.wa_message_id });
+    db.prepare(`UPDATE openline_messages SET status='read', updated_at=? WHERE direction='in' AND chat_id=? AND status='received' AND id<=?`)
+      .run(nowIso(), row.chat_id, last.id);
+  } catch (err) {
+    console.error('[openlines] no se pudo marcar como leído', err?.response?.data?.error?.message || err.message);
+  }
+}
+
+/**
+ * Envía a WhatsApp las respuestas de operador pendientes como mensajes de sesión. Los errores
+ * transitorios se reintentan; el resto se avisa en el chat del operador. Cada llamada a Meta
+ * corta a los WA_HTTP_TIMEOUT_MS, así un envío colgado no retiene el lote.
+ */
+export async function processOpenlineOutbound({ limit = 20 } = {}) {
+  const rows = db.prepare(`SELECT * FROM openline_messages WHERE direction='out' AND status='queued' AND available_at<=?
+    ORDER BY id ASC LIMIT ?`).all(Date.now(), limit);
+  let sent = 0;
+  let failed = 0;
+  for (const row of rows) {
+    // Fuera de la ventana de 24 h Meta rechaza el texto libre: se avisa al operador sin intentarlo
+    const session = getSessionWindow(row.phone, { phone_id: row.phone_id });
+    if (!session.open) {
+      const reason = session.last_inbound_at
+        ? `la ventana de 24 h se cerró el ${session.expires_at}; solo se pueden enviar plantillas`
+        : 'el cliente no ha escrito a este número; solo se pueden enviar plantillas';
+      db.prepare(`UPDATE openline_messages SET status='failed', error=?, updated_at=? WHERE id=?`).run(reason, nowIso(), row.id);
+      notifyOperatorFailure(row, reason);
+      failed += 1;
+      continue;
+    }
+    try {
+      const data = await sendText({ phone_id: row.phone_id, to: row.phone, text: row.text });
+      const waMessageId = data?.messages?.[0]?.id || null;
+      db.prepare(`UPDATE openline_messages SET status='sent', wa_message_id=?, attempts=attempts+1, error=NULL, updated_at=? WHERE id=?`)
+        .run(waMessageId, nowIso(), row.id);
+      await markChatRead(row);
+      sent += 1;
+    } catch (err) {
+      const failure = classifySendError(err);
+      const attempts = row.attempts + 1;
+      const retry = ['transient', 'rate_limited'].includes(failure.category) && attempts < MAX_ATTEMPTS;
+      db.prepare('UPDATE openline_messages SET status=?, attempts=?, error=?, available_at=?, updated_at=? WHERE id=?')
+        .run(retry ? 'queued' : 'failed', attempts, failure.reason.slice(0, 500), Date.now() + RETRY_MS * attempts, nowIso(), row.id);
+      if (!retry) notifyOperatorFailure(row, failure.reason);
+      failed += 1;
+    }
+  }
+  return { sent, failed };
+}
+
+const STATUS_ORDER = ['queued', 'sent', 'delivered', 'read'];
+
+/**
+ * Refleja en el chat de Bitrix24 la entrega y lectura de una respuesta de operador.
+ * Devuelve true si el wamid era de Canales Abiertos.
+ */
+export function mirrorWaStatus(status) {
+  const row = db.prepare(`SELECT * FROM openline_messages WHERE direction='out' AND wa_message_id=?`).get(status?.id);
+  if (!row) return false;
+  const next = status.status;
+  if (next === 'failed') {
+    const reason = Array.isArray(status.errors) ? status.errors.map((e) => e.title || e.message).filter(Boolean).join('; ') : 'failed';
+    db.prepare(`UPDATE openline_messages SET status='failed', error=?, updated_at=? WHERE id=?`).run(reason, nowIso(), row.id);
+    notifyOperatorFailure(row, reason);
+    return true;
+  }
+  if (row.status === 'failed' || STATUS_ORDER.indexOf(next) <= STATUS_ORDER.indexOf(row.status)) return true;
+  db.prepare('UPDATE openline_messages SET status=?, updated_at=? WHERE id=?').run(next, nowIso(), row.id);
+  // Un read sin delivered previo también confirma la entrega
+  if (row.status === 'sent') enqueueBitrixCall('imconnector.send.status.delivery', statusParams(row));
+  if (next === 'read') enqueueBitrixCall('imconnector.send.status.reading', statusParams(row));
+  return true;
+}
+
+export function listOpenlineMessages({ chat_id = null, status = null, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (chat_id) {
+    where.push('chat_id=?');
+    params.push(chat_id);
+  }
+  if (status) {
+    where.push('status=?');
+    params.push(status);
+  }
+  return db.prepare(`SELECT * FROM openline_messages ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset);
+}
@@ -0,0 +1,157 @@
+import fs from 'fs';
+import path from 'path';
+import db from './db.js';
+import { queueBitrixCall, pushTimelineComment, updateTimelineComment, updateEntityFields, createEntityTask } from './bitrix.js';
+
+const MAX_ATTEMPTS = Number(process.env.BITRIX_OUTBOX_MAX_ATTEMPTS || 8);
+const BASE_MS = 30 * 1000;
+const MAX_MS = 60 * 60 * 1000;
+const LEASE_MS = 5 * 60 * 1000;
+
+// El primer aviso crea el comentario y guarda su id en el destinatario; los siguientes lo editan
+async function upsertTimelineComment({ targetId, entity, entityId, comment }) {
+  const commentId = db.prepare('SELECT bitrix_comment_id FROM campaign_targets WHERE id=?').get(targetId)?.bitrix_comment_id;
+  if (commentId) return updateTimelineComment({ id: commentId, comment });
+  const data = await pushTimelineComment({ entity, entityId, comment });
+  if (data?.result) {
+    db.prepare('UPDATE campaign_targets SET bitrix_comment_id=? WHERE id=?').run(String(data.result), targetId);
+  }
+  return data;
+}
+
+// El archivo se lee al enviar para no guardar el contenido en la cola
+function pushTimelineFile({ entity, entityId, comment, file }) {
+  const content = fs.readFileSync(file.path).toString('base64');
+  return pushTimelineComment({ entity, entityId, comment, files: [[file.name || path.basename(file.path), content]] });
+}
+
+// Cada tipo de escritura pendiente y cómo se ejecuta contra Bitrix24
+const HANDLERS = {
+  timeline_comment: ({ entity, entityId, comment }) => pushTimelineComment({ entity, entityId, comment }),
+  timeline_upsert: upsertTimelineComment,
+  timeline_file: pushTimelineFile,
+  entity_update: ({ entity, entityId, fields }) => updateEntityFields({ entity, entityId, fields }),
+  task: createEntityTask,
+  call: ({ method, params }) => queueBitrixCall(method, params)
+};
+
+function nowIso() { return new Date().toISOString(); }
+
+function backoffMs(attempts) {
+  const base = Math.min(MAX_MS, BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+export function enqueueBitrix(kind, payload, { entity = null, entityId = null } = {}) {
+  if (!HANDLERS[kind]) throw new Error(`Tipo de escritura Bitrix24 desconocido: ${kind}`);
+  const info = db.prepare(`INSERT INTO bitrix_outbox (kind, entity, entity_id, payload_json, available_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)`).run(kind, entity, entityId === null ? null : String(entityId), JSON.stringify(payload), Date.now(), nowIso());
+  return info.lastInsertRowid;
+}
+
+export function enqueueTimelineComment({ entity, entityId, comment }) {
+  if (!entity || !entityId || !comment) return null;
+  return enqueueBitrix('timeline_comment', { entity, entityId, comment }, { entity, entityId });
+}
+
+/**
+ * Comentario único por destinatario. Si ya hay uno pendiente en cola se sustituye su texto,
+ * así nunca hay dos a la vez para el mismo destinatario (crearían dos comentarios).
+ */
+export function enqueueTimelineUpsert({ targetId, entity, entityId, comment }) {
+  if (!targetId || !entity || !entityId || !comment) return null;
+  const payload = JSON.stringify({ targetId, entity, entityId, comment });
+  const pending = db.prepare(`SELECT id FROM bitrix_outbox WHERE kind='timeline_upsert' AND status='queued'
+    AND json_extract(payload_json, '$.targetId')=? ORDER BY id DESC LIMIT 1`).get(targetId);
+  if (pending) {
+    db.prepare('UPDATE bitrix_outbox SET payload_json=? WHERE id=?').run(payload, pending.id);
+    return pending.id;
+  }
+  return enqueueBitrix('timeline_upsert', { targetId, entity, entityId, comment }, { entity, entityId });
+}
+
+export function enqueueTimelineFile({ entity, entityId, comment, file }) {
+  if (!entity || !entityId || !comment || !file?.path) return null;
+  return enqueueBitrix('timeline_file', { entity, entityId, comment, file }, { entity, entityId });
+}
+
+export function enqueueEntityUpdate({ entity, entityId, fields }) {
+  if (!entity || !entityId || !fields || !Object.keys(fields).length) return null;
+  return enqueueBitrix('entity_update', { entity, entityId, fields }, { entity, entityId });
+}
+
+export function enqueueEntityTask({ entity, entityId, title, description, deadline, responsibleId }) {
+  if (!entity || !entityId || !title) return null;
+  return enqueueBitrix('task', { entity, entityId, title, description, deadline, responsibleId }, { entity, entityId });
+}
+
+export function enqueueBitrixCall(method, params = {}) {
+  return enqueueBitrix('call', { method, params });
+}
+
+function claim(limit) {
+  const now = Date.now();
+  const tx = db.transaction(() => {
+    const rows = db.prepare(`SELECT * FROM bitrix_outbox
+      WHERE (status='queued' AND available_at<=?) OR (status='processing' AND lease_expires_at<=?)
+      ORDER BY id ASC LIMIT ?`).all(now, now, limit);
+    const mark = db.prepare(`UPDATE bitrix_outbox SET status='processing', lease_expires_at=? WHERE id=?`);
+    for (const row of rows) mark.run(now + LEASE_MS, row.id);
+    return rows;
+  });
+  return tx.immediate();
+}
+
+/**
+ * Ejecuta las escrituras pendientes. Se lanzan juntas para que bitrix.js las agrupe en `batch`
+ * (en orden de id). Un fallo se reintenta con backoff exponencial; tras
+ * BITRIX_OUTBOX_MAX_ATTEMPTS queda en `dead` hasta que se reintente a mano.
+ */
+export async function processBitrixOutbox({ limit = 50 } = {}) {
+  const rows = claim(limit);
+  const results = await Promise.allSettled(rows.map(async (row) => HANDLERS[row.kind](JSON.parse(row.payload_json))));
+  let done = 0;
+  let failed = 0;
+  rows.forEach((row, i) => {
+    const { status, reason: err } = results[i];
+    if (status === 'fulfilled') {
+      db.prepare(`UPDATE bitrix_outbox SET status='done', attempts=attempts+1, last_error=NULL, lease_expires_at=NULL, done_at=? WHERE id=?`)
+        .run(nowIso(), row.id);
+      done += 1;
+      return;
+    }
+    const attempts = row.attempts + 1;
+    const reason = String(err?.response?.data?.error_description || err?.message || err).slice(0, 500);
+    const dead = attempts >= MAX_ATTEMPTS;
+    db.prepare(`UPDATE bitrix_outbox SET status=?, attempts=?, last_error=?, available_at=?, lease_expires_at=NULL WHERE id=?`)
+      .run(dead ? 'dead' : 'queued', attempts, reason, Date.now() + backoffMs(attempts), row.id);
+    if (dead) console.error(`[bitrix] escritura ${row.id} (${row.kind}) descartada tras ${attempts} intentos: ${reason}`);
+    failed += 1;
+  });
+  return { done, failed };
+}
+
+export function outboxStats() {
+  const out = {};
+  for (const row of db.prepare('SELECT status, COUNT(1) c FROM bitrix_outbox GROUP BY status').all()) out[row.status] = row.c;
+  return out;
+}
+
+export function listOutbox({ status = 'dead', limit = 50, offset = 0 } = {}) {
+  return db.prepare('SELECT * FROM bitrix_outbox WHERE status=? ORDER BY id DESC LIMIT ? OFFSET ?')
+    .all(status, limit, offset)
+    .map(({ payload_json, ...row }) => ({ ...row, payload: JSON.parse(payload_json) }));
+}
+
+// Devuelve a la cola escrituras en `dead` (una o todas) con los intentos a cero
+export function retryOutbox(id = null) {
+  const where = id === null ? "status='dead'" : "status='dead' AND id=?";
+  const params = id === null ? [] : [id];
+  return db.prepare(`UPDATE bitrix_outbox SET status='queued', attempts=0, available_at=? WHERE ${where}`)
+    .run(Date.now(), ...params).changes;
+}
+
+export function purgeOutbox(olderThanMs) {
+  return db.prepare(`DELETE FROM bitrix_outbox WHERE status='done' AND done_at<?`)
+    .run(new Date(Date.now() - olderThanMs).toISOString()).changes;
+}
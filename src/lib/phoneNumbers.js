@@ -0,0 +1,100 @@
+import axios from 'axios';
+import db from './db.js';
+import { WA_BASE, WA_TIMEOUT_MS } from './wa.js';
+import { ensureSender, getSenderCredentials } from './senders.js';
+
+const PHONE_FIELDS = 'id,display_phone_number,verified_name,quality_rating,messaging_limit_tier,status';
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function upperOrNull(value) {
+  return value ? String(value).toUpperCase() : null;
+}
+
+function saveMetadata(phone_id, info) {
+  db.prepare(`UPDATE senders SET display_phone_number=COALESCE(?, display_phone_number), verified_name=COALESCE(?, verified_name),
+    quality_rating=?, messaging_limit_tier=COALESCE(?, messaging_limit_tier), meta_status=?, meta_synced_at=?, meta_error=NULL
+    WHERE phone_id=?`).run(
+    info.display_phone_number || null,
+    info.verified_name || null,
+    upperOrNull(info.quality_rating),
+    upperOrNull(info.messaging_limit_tier),
+    upperOrNull(info.status),
+    nowIso(),
+    phone_id
+  );
+}
+
+export async function fetchPhoneNumbersFromMeta({ wabaId, token }) {
+  if (!wabaId || !token) {
+    throw httpError(400, 'Faltan waba_id y/o token para importar números (WA_WABA_ID + WA_ACCESS_TOKEN o credenciales del remitente)');
+  }
+  const out = [];
+  let url = `${WA_BASE}/${wabaId}/phone_numbers`;
+  let params = { fields: PHONE_FIELDS, limit: 100 };
+  while (url) {
+    const res = await axios.get(url, { params, headers: { Authorization: `Bearer ${token}` }, timeout: WA_TIMEOUT_MS });
+    if (Array.isArray(res.data?.data)) out.push(...res.data.data);
+    url = res.data?.paging?.next || null;
+    params = undefined;
+  }
+  return out;
+}
+
+/**
+ * Da de alta (o actualiza) en `senders` todos los números de una WABA con sus metadatos.
+ * Si llega `access_token` se guarda cifrado en cada remitente importado.
+ */
+export async function importSendersFromWaba({ waba_id, access_token } = {}) {
+  const wabaId = waba_id || process.env.WA_WABA_ID || process.env.META_WABA_ID || '';
+  const token = access_token || process.env.WA_ACCESS_TOKEN || '';
+  const numbers = await fetchPhoneNumbersFromMeta({ wabaId, token });
+  const imported = [];
+  for (const info of numbers) {
+    const phone_id = ensureSender(String(info.id), {
+      display: info.verified_name || info.display_phone_number,
+      waba_id: wabaId,
+      access_token
+    });
+    saveMetadata(phone_id, info);
+    imported.push(phone_id);
+  }
+  return { waba_id: String(wabaId), imported };
+}
+
+// Relee de Meta los metadatos de un remitente con sus propias credenciales
+export async function refreshSender(phone_id) {
+  const { token } = getSenderCredentials(phone_id);
+  try {
+    const res = await axios.get(`${WA_BASE}/${phone_id}`, {
+      params: { fields: PHONE_FIELDS },
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: WA_TIMEOUT_MS
+    });
+    saveMetadata(phone_id, res.data || {});
+    return res.data;
+  } catch (err) {
+    const detail = err?.response?.data?.error?.message || err.message;
+    db.prepare('UPDATE senders SET meta_error=? WHERE phone_id=?').run(String(detail).slice(0, 500), phone_id);
+    throw err;
+  }
+}
+
+export async function refreshAllSenders() {
+  const results = [];
+  for (const { phone_id } of db.prepare('SELECT phone_id FROM senders ORDER BY id').all()) {
+    try {
+      const info = await refreshSender(phone_id);
+      results.push({ phone_id, quality_rating: upperOrNull(info?.quality_rating), messaging_limit_tier: upperOrNull(info?.messaging_limit_tier) });
+    } catch (err) {
+      results.push({ phone_id, error: err?.response?.data?.error?.message || err.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,188 @@
+import db from './db.js';
+import { parseSenderId, getSenderThrottle } from './senders.js';
+
+export const SENDER_STRATEGIES = ['round_robin', 'sticky'];
+
+// Un remitente marcado failing vuelve a recibir jobs nuevos pasado este tiempo
+const FAILING_COOLDOWN_MS = Number(process.env.SENDER_FAILING_COOLDOWN_MS || 30 * 60 * 1000);
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseMember(item, index) {
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    const phone_id = parseSenderId(item.phone_id ?? item.id);
+    if (!phone_id) throw httpError(400, `sender_pool[${index}] necesita phone_id`);
+    return { phone_id, weight: item.weight ?? 1, qps: item.qps, display: item.display };
+  }
+  // "phone_id" o "phone_id:peso"
+  const [id, weight] = String(item ?? '').trim().split(':');
+  const phone_id = parseSenderId(id);
+  if (!phone_id) throw httpError(400, `sender_pool[${index}] vacío`);
+  return { phone_id, weight: weight ?? 1 };
+}
+
+/**
+ * Pool de remitentes de una campaña: lista de phone_id, "phone_id:peso" u objetos
+ * { phone_id, weight, qps?, display? } (también como JSON o texto separado por comas).
+ */
+export function parseSenderPool(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  let list = raw;
+  if (typeof raw === 'string') {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch {
+        throw httpError(400, 'sender_pool debe ser JSON válido');
+      }
+    } else {
+      list = trimmed.split(/[\s,;]+/).filter(Boolean);
+    }
+  }
+  if (!Array.isArray(list)) throw httpError(400, 'sender_pool debe ser una lista de remitentes');
+  if (!list.length) return null;
+
+  const seen = new Set();
+  return list.map((item, index) => {
+    const member = parseMember(item, index);
+    const weight = Number(member.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+      throw httpError(400, `sender_pool[${index}]: el peso debe ser un entero entre 1 y 100`);
+    }
+    if (seen.has(member.phone_id)) throw httpError(400, `sender_pool repite el remitente ${member.phone_id}`);
+    seen.add(member.phone_id);
+    return { ...member, weight };
+  });
+}
+
+export function parseSenderStrategy(raw) {
+  if (raw === undefined || raw === null || raw === '') return 'round_robin';
+  const strategy = String(raw).trim().toLowerCase().replace('-', '_');
+  if (!SENDER_STRATEGIES.includes(strategy)) {
+    throw httpError(400, `sender_strategy debe ser ${SENDER_STRATEGIES.join(' o ')}`);
+  }
+  return strategy;
+}
+
+export function campaignPool(camp) {
+  if (!camp?.sender_pool_json) return null;
+  try {
+    const pool = JSON.parse(camp.sender_pool_json);
+    return Array.isArray(pool) && pool.length ? pool : null;
+  } catch {
+    return null;
+  }
+}
+
+function isAvailable(phone_id, now = Date.now()) {
+  if (getSenderThrottle(phone_id, { now }).paused) return false;
+  const row = db.prepare('SELECT status, status_changed_at FROM senders WHERE phone_id=?').get(phone_id);
+  if (!row || row.status !== 'failing') return true;
+  return Date.parse(row.status_changed_at || 0) + FAILING_COOLDOWN_MS <= now;
+}
+
+// Miembros que pueden recibir jobs; si todos están failing se usa el pool completo
+function activeMembers(pool, { exclude = null } = {}) {
+  const candidates = pool.filter((m) => m.phone_id !== exclude);
+  const active = candidates.filter((m) => isAvailable(m.phone_id));
+  return exclude ? active : (active.length ? active : candidates);
+}
+
+function hashPhone(phone) {
+  let h = 2166136261;
+  for (const ch of String(phone)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function lastSenderFor(phone) {
+  return db.prepare(`SELECT sender_phone_id FROM campaign_targets
+    WHERE phone=? AND sent_at IS NOT NULL AND sender_phone_id IS NOT NULL ORDER BY sent_at DESC LIMIT 1`).get(phone)?.sender_phone_id || null;
+}
+
+/**
+ * Devuelve pick(phone) -> phone_id para repartir los destinatarios de una campaña.
+ * round_robin: round robin ponderado suave (a,a,b,a… en vez de a,a,a,b).
+ * sticky: el número que le escribió la última vez si sigue en el pool; si no, hash del teléfono.
+ */
+export function createSenderPicker(pool, strategy = 'round_robin', { exclude = null } = {}) {
+  const members = activeMembers(pool, { exclude });
+  if (!members.length) return null;
+  const total = members.reduce((sum, m) => sum + m.weight, 0);
+
+  if (strategy === 'sticky') {
+    return (phone) => {
+      const previous = lastSenderFor(phone);
+      if (previous && members.some((m) => m.phone_id === previous)) return previous;
+      let slot = hashPhone(phone) % total;
+      for (const m of members) {
+        if (slot < m.weight) return m.phone_id;
+        slot -= m.weight;
+      }
+      return members[0].phone_id;
+    };
+  }
+
+  const current = members.map(() => 0);
+  return () => {
+    let best = 0;
+    members.forEach((m, i) => {
+      current[i] += m.weight;
+      if (current[i] > current[best]) best = i;
+    });
+    current[best] -= total;
+    return members[best].phone_id;
+  };
+}
+
+export function markSenderFailing(phone_id, reason) {
+  db.prepare(`UPDATE senders SET status='failing', status_reason=?, status_changed_at=? WHERE phone_id=?`)
+    .run(String(reason || '').slice(0, 500), nowIso(), phone_id);
+}
+
+export function markSenderActive(phone_id) {
+  db.prepare(`UPDATE senders SET status='active', status_reason=NULL, status_changed_at=? WHERE phone_id=? AND status<>'active'`)
+    .run(nowIso(), phone_id);
+}
+
+/**
+ * Marca el remitente como failing y mueve sus jobs en cola de campañas con pool al resto de
+ * miembros activos. Devuelve cuántos jobs se reasignaron.
+ */
+export function failoverSender(phone_id, reason) {
+  const tx = db.transaction(() => {
+    markSenderFailing(phone_id, reason);
+    const jobs = db.prepare(`SELECT q.id, q.campaign_id, q.target_id, t.phone FROM queue q
+      JOIN campaigns c ON c.id=q.campaign_id JOIN campaign_targets t ON t.id=q.target_id
+      WHERE q.phone_id=? AND q.status='queued' AND c.sender_pool_json IS NOT NULL
+      ORDER BY q.campaign_id, q.id`).all(phone_id);
+
+    const pickers = new Map();
+    const moveJob = db.prepare(`UPDATE queue SET phone_id=? WHERE id=? AND status='queued'`);
+    const moveTarget = db.prepare('UPDATE campaign_targets SET sender_phone_id=? WHERE id=?');
+    let moved = 0;
+    for (const job of jobs) {
+      if (!pickers.has(job.campaign_id)) {
+        const camp = db.prepare('SELECT sender_pool_json, sender_strategy FROM campaigns WHERE id=?').get(job.campaign_id);
+        const pool = campaignPool(camp);
+        pickers.set(job.campaign_id, pool ? createSenderPicker(pool, camp.sender_strategy, { exclude: phone_id }) : null);
+      }
+      const pick = pickers.get(job.campaign_id);
+      if (!pick) continue;
+      const next = pick(job.phone);
+      moved += moveJob.run(next, job.id).changes;
+      moveTarget.run(next, job.target_id);
+    }
+    return moved;
+  });
+  return tx.immediate();
+}
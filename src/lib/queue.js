@@ -1,5 +1,7 @@
 import db from './db.js';
 
+const DEFAULT_LEASE_MS = Number(process.env.QUEUE_LEASE_MS || 60000);
+
 export function enqueueTarget({ campaign_id, target_id, phone_id }) {
   const now = Date.now();
   const stmt = db.prepare(`INSERT INTO queue (campaign_id, target_id, phone_id, available_at)
@@ -7,29 +9,125 @@ export function enqueueTarget({ campaign_id, target_id, phone_id }) {
   stmt.run({ campaign_id, target_id, phone_id, available_at: now });
 }
 
-export function fetchBatch({ limit = 20 }) {
+// Solo cuentan los jobs de campañas en running: una campaña pausada conserva su cola intacta
+const READY_JOBS = `FROM queue q JOIN campaigns c ON c.id=q.campaign_id
+  WHERE q.status='queued' AND q.available_at<=? AND c.status='running'`;
+
+export function listReadySenders() {
+  const now = Date.now();
+  return db.prepare(`SELECT DISTINCT q.phone_id ${READY_JOBS}`)
+    .all(now)
+    .map(r => r.phone_id);
+}
+
+// Devuelve a la cola los jobs cuyo worker murió (o se colgó) sin cerrar el lease. Cada vencimiento
+// cuenta como intento: un job que tumba al worker una y otra vez acaba en dead.
+export function releaseExpiredLeases() {
+  const now = Date.now();
+  const category = 'unknown';
+  const policy = RETRY_POLICIES[category];
+  const tx = db.transaction(() => {
+    const expired = db.prepare(`SELECT id, target_id, attempts FROM queue
+      WHERE status='processing' AND (lease_expires_at IS NULL OR lease_expires_at<=?)`).all(now);
+    const release = db.prepare(`UPDATE queue SET status=?, attempts=?, last_error='lease_vencido', error_category=?,
+      lease_owner=NULL, lease_expires_at=NULL WHERE id=?`);
+    const dead = [];
+    for (const job of expired) {
+      const attempts = job.attempts + 1;
+      const status = attempts >= policy.maxAttempts ? 'dead' : 'queued';
+      release.run(status, attempts, category, job.id);
+      if (status === 'dead') dead.push({ ...job, attempts, error_category: category });
+    }
+    return { released: expired.length - dead.length, dead };
+  });
+  return tx.immediate();
+}
+
+export function fetchBatch({ limit = 20, phone_id = null, owner, leaseMs = DEFAULT_LEASE_MS }) {
   const now = Date.now();
   const tx = db.transaction(() => {
-    const rows = db.prepare(`SELECT id, campaign_id, target_id, phone_id, attempts
-      FROM queue WHERE status='queued' AND available_at<=? ORDER BY id ASC LIMIT ?`).all(now, limit);
+    const rows = phone_id
+      ? db.prepare(`SELECT q.id, q.campaign_id, q.target_id, q.phone_id, q.attempts
+        ${READY_JOBS} AND q.phone_id=? ORDER BY q.id ASC LIMIT ?`).all(now, phone_id, limit)
+      : db.prepare(`SELECT q.id, q.campaign_id, q.target_id, q.phone_id, q.attempts
+        ${READY_JOBS} ORDER BY q.id ASC LIMIT ?`).all(now, limit);
     const ids = rows.map(r => r.id);
     if (ids.length) {
-      const mark = db.prepare(`UPDATE queue SET status='processing' WHERE id=?`);
-      for (const id of ids) mark.run(id);
+      const mark = db.prepare(`UPDATE queue SET status='processing', lease_owner=?, lease_expires_at=?
+        WHERE id=? AND status='queued'`);
+      for (const id of ids) mark.run(owner || null, now + leaseMs, id);
     }
     return rows;
   });
-  return tx();
+  // IMMEDIATE toma el lock de escritura antes de leer: dos workers nunca reclaman el mismo job
+  return tx.immediate();
+}
+
+function leaseClause(owner) {
+  return owner ? ' AND lease_owner=?' : '';
+}
+
+function leaseArgs(owner) {
+  return owner ? [owner] : [];
+}
+
+export function markDone(id, { owner } = {}) {
+  const info = db.prepare(`UPDATE queue SET status='done', lease_owner=NULL, lease_expires_at=NULL
+    WHERE id=?${leaseClause(owner)}`).run(id, ...leaseArgs(owner));
+  return info.changes > 0;
+}
+
+// Renueva el lease antes de una operación lenta; false = el job ya no es de este worker
+export function extendLease(id, { owner, leaseMs = DEFAULT_LEASE_MS } = {}) {
+  const info = db.prepare(`UPDATE queue SET lease_expires_at=? WHERE id=? AND status='processing'${leaseClause(owner)}`)
+    .run(Date.now() + leaseMs, id, ...leaseArgs(owner));
+  return info.changes > 0;
+}
+
+// Pospone un job sin contarlo como intento (p. ej. fuera de la ventana de entrega)
+export function deferJob(id, availableAt, { owner } = {}) {
+  const info = db.prepare(`UPDATE queue SET status='queued', available_at=?, lease_owner=NULL, lease_expires_at=NULL
+    WHERE id=?${leaseClause(owner)}`).run(availableAt, id, ...leaseArgs(owner));
+  return info.changes > 0;
 }
 
-export function markDone(id) {
-  db.prepare(`UPDATE queue SET status='done' WHERE id=?`).run(id);
+// Devuelve el job a la cola con otro remitente sin contarlo como intento (failover del pool)
+export function reassignJob(id, phone_id, { owner } = {}) {
+  const info = db.prepare(`UPDATE queue SET status='queued', phone_id=?, available_at=?, lease_owner=NULL, lease_expires_at=NULL
+    WHERE id=?${leaseClause(owner)}`).run(phone_id, Date.now(), id, ...leaseArgs(owner));
+  return info.changes > 0;
 }
 
-export function markFailed(id, backoffMs = 5000) {
+// Política de reintentos por categoría de error (ver classifySendError en wa.js)
+export const RETRY_POLICIES = {
+  permanent: { maxAttempts: 1, baseMs: 0, maxMs: 0 },
+  rate_limited: { maxAttempts: 8, baseMs: 30 * 1000, maxMs: 15 * 60 * 1000 },
+  transient: { maxAttempts: 6, baseMs: 5 * 1000, maxMs: 5 * 60 * 1000 },
+  auth: { maxAttempts: 3, baseMs: 5 * 60 * 1000, maxMs: 30 * 60 * 1000 },
+  unknown: { maxAttempts: 3, baseMs: 10 * 1000, maxMs: 5 * 60 * 1000 }
+};
+
+export function markFailed(id, { category = 'unknown', reason = '', owner } = {}) {
   const now = Date.now();
+  const policy = RETRY_POLICIES[category] || RETRY_POLICIES.unknown;
   const row = db.prepare(`SELECT attempts FROM queue WHERE id=?`).get(id);
   const attempts = (row?.attempts ?? 0) + 1;
-  const avail = now + backoffMs * Math.min(attempts, 10);
-  db.prepare(`UPDATE queue SET status='queued', attempts=?, available_at=? WHERE id=?`).run(attempts, avail, id);
+  const lastError = String(reason || '').slice(0, 500);
+
+  if (attempts >= policy.maxAttempts) {
+    const info = db.prepare(`UPDATE queue SET status='dead', attempts=?, last_error=?, error_category=?,
+      lease_owner=NULL, lease_expires_at=NULL WHERE id=?${leaseClause(owner)}`)
+      .run(attempts, lastError, category, id, ...leaseArgs(owner));
+    if (!info.changes) return null;
+    return { dead: true, attempts, maxAttempts: policy.maxAttempts };
+  }
+
+  const backoff = Math.min(policy.baseMs * 2 ** (attempts - 1), policy.maxMs);
+  const avail = now + backoff;
+  const info = db.prepare(`UPDATE queue SET status='queued', attempts=?, available_at=?, last_error=?, error_category=?,
+    lease_owner=NULL, lease_expires_at=NULL WHERE id=?${leaseClause(owner)}`)
+    .run(attempts, avail, lastError, category, id, ...leaseArgs(owner));
+  // null = otro worker reclamó el job tras vencer nuestro lease
+  if (!info.changes) return null;
+  return { dead: false, attempts, maxAttempts: policy.maxAttempts, available_at: avail };
 }
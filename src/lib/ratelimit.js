@@ -0,0 +1,45 @@
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// Token bucket por clave (p. ej. phone_id): capacidad = rate, recarga continua a `rate` tokens/s.
+export function createRateLimiter({ defaultRate = 8 } = {}) {
+  const buckets = new Map();
+
+  function bucketFor(key, rate) {
+    const now = Date.now();
+    const capacity = Math.max(1, rate);
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, capacity, rate, updatedAt: now };
+      buckets.set(key, bucket);
+      return bucket;
+    }
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.rate);
+    bucket.updatedAt = now;
+    if (bucket.rate !== rate) {
+      bucket.rate = rate;
+      bucket.capacity = capacity;
+      bucket.tokens = Math.min(bucket.tokens, capacity);
+    }
+    return bucket;
+  }
+
+  function resolveRate(rate) {
+    const n = Number(rate);
+    return Number.isFinite(n) && n > 0 ? n : defaultRate;
+  }
+
+  async function acquire(key, rate) {
+    const r = resolveRate(rate);
+    for (;;) {
+      const bucket = bucketFor(key, r);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000));
+    }
+  }
+
+  return { acquire };
+}
@@ -0,0 +1,241 @@
+import db from './db.js';
+import { callBitrix } from './bitrix.js';
+import { enqueueBitrixCall } from './outbox.js';
+import { listTemplates } from './templates.js';
+import { listSenders } from './senders.js';
+
+export const ROBOT_CODE = process.env.ROBOT_CODE || 'wa_campaign_send';
+const AUTH_USER_ID = Number(process.env.ROBOT_AUTH_USER_ID || 1);
+const REPLY_TIMEOUT_HOURS = Number(process.env.ROBOT_REPLY_TIMEOUT_HOURS || 24);
+
+// Estados del destinatario que cierran la ejecución aunque se espere respuesta
+const TERMINAL_FAILURES = ['failed', 'canceled', 'suppressed', 'capped'];
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function robotProperties() {
+  const templates = new Map();
+  for (const t of listTemplates({ status: 'APPROVED' })) {
+    templates.set(`${t.name}:${t.language}`, `${t.name} (${t.language})`);
+  }
+  const senders = listSenders().map((s) => [s.phone_id, s.display || s.display_phone_number || s.phone_id]);
+  return {
+    template: templates.size
+      ? { Name: 'Plantilla', Type: 'select', Required: 'Y', Options: Object.fromEntries(templates) }
+      : { Name: 'Plantilla (nombre o nombre:idioma)', Type: 'string', Required: 'Y' },
+    sender: senders.length
+      ? { Name: 'Remitente', Type: 'select', Required: 'N', Options: Object.fromEntries(senders) }
+      : { Name: 'Remitente (phone_id)', Type: 'string', Required: 'N' },
+    var_fields: {
+      Name: 'Variables (una por línea: variable=CAMPO, p. ej. nombre=NAME)',
+      Type: 'text',
+      Required: 'N'
+    },
+    wait_reply: { Name: 'Esperar respuesta del cliente', Type: 'bool', Required: 'N', Default: 'N' },
+    reply_timeout_hours: { Name: 'Horas máximas de espera (respuesta o entrega)', Type: 'int', Required: 'N', Default: REPLY_TIMEOUT_HOURS }
+  };
+}
+
+const RETURN_PROPERTIES = {
+  status: { Name: 'Resultado (delivered, read, replied, no_reply, undelivered, failed…)', Type: 'string' },
+  error: { Name: 'Error', Type: 'string' },
+  reply_text: { Name: 'Texto de la respuesta', Type: 'text' },
+  wa_message_id: { Name: 'ID del mensaje de WhatsApp', Type: 'string' },
+  campaign_id: { Name: 'ID de campaña', Type: 'int' }
+};
+
+/**
+ * Registra (o vuelve a registrar) el robot en el portal. Las opciones de plantilla y remitente
+ * se toman del catálogo local, así que conviene reinstalarlo tras sincronizar plantillas.
+ */
+export async function installRobot({ handlerUrl }) {
+  if (!handlerUrl) throw httpError(400, 'Falta handler_url (o PUBLIC_URL) para registrar el robot');
+  const params = {
+    CODE: ROBOT_CODE,
+    HANDLER: handlerUrl,
+    AUTH_USER_ID,
+    NAME: 'Enviar WhatsApp (plantilla)',
+    USE_SUBSCRIPTION: 'Y',
+    PROPERTIES: robotProperties(),
+    RETURN_PROPERTIES
+  };
+  try {
+    await callBitrix('bizproc.robot.add', params);
+    return { code: ROBOT_CODE, handler: handlerUrl, action: 'added' };
+  } catch (err) {
+    if (err?.response?.data?.error !== 'ERROR_ACTIVITY_ALREADY_INSTALLED') throw err;
+    const { CODE, ...fields } = params;
+    await callBitrix('bizproc.robot.update', { CODE, FIELDS: fields });
+    return { code: ROBOT_CODE, handler: handlerUrl, action: 'updated' };
+  }
+}
+
+export async function uninstallRobot() {
+  await callBitrix('bizproc.robot.delete', { CODE: ROBOT_CODE });
+  return { code: ROBOT_CODE };
+}
+
+const DOCUMENT_TYPES = { LEAD: 'lead', CONTACT: 'contact', COMPANY: 'company', DEAL: 'deal' };
+
+// document_id llega como ['crm', 'CCrmDocumentDeal', 'DEAL_45'] (procesos inteligentes: DYNAMIC_128_7)
+export function parseDocumentId(documentId) {
+  const parts = documentId && typeof documentId === 'object' ? Object.values(documentId) : [documentId];
+  const raw = parts[parts.length - 1];
+  const value = String(raw || '').trim().toUpperCase();
+  const smart = value.match(/^DYNAMIC_(\d+)_(\d+)$/);
+  if (smart) return { document_id: value, entity: `dynamic_${smart[1]}`, id: smart[2] };
+  const match = value.match(/^([A-Z]+)_(\d+)$/);
+  if (match && DOCUMENT_TYPES[match[1]]) return { document_id: value, entity: DOCUMENT_TYPES[match[1]], id: match[2] };
+  throw httpError(400, `Documento de Bitrix24 no soportado por el robot: ${raw || '(vacío)'}`);
+}
+
+// "nombre=NAME" por línea (o JSON { nombre: 'NAME' })
+export function parseRobotVarFields(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return {};
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw httpError(400, 'var_fields no es JSON válido');
+    }
+  }
+  const out = {};
+  for (const line of text.split(/[\r\n;]+/)) {
+    const [name, ...rest] = line.split('=');
+    const field = rest.join('=').trim();
+    if (name?.trim() && field) out[name.trim()] = field;
+  }
+  return out;
+}
+
+export function parseRobotTemplate(raw, fallbackLanguage) {
+  const value = String(raw || '').trim();
+  if (!value) throw httpError(400, 'El robot no indica plantilla');
+  const idx = value.lastIndexOf(':');
+  return idx > 0
+    ? { template_name: value.slice(0, idx), language: value.slice(idx + 1) || fallbackLanguage }
+    : { template_name: value, language: fallbackLanguage };
+}
+
+function isYes(value) {
+  return ['y', 'yes', '1', 'true', 'si', 'sí'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Guarda la ejecución. Devuelve null si Bitrix24 ya la había enviado (mismo event_token).
+ */
+export function recordInvocation({ event_token, document, properties = {} }) {
+  if (!event_token) throw httpError(400, 'Falta event_token');
+  const hours = Number(properties.reply_timeout_hours);
+  const timeoutMs = (Number.isFinite(hours) && hours > 0 ? hours : REPLY_TIMEOUT_HOURS) * 60 * 60 * 1000;
+  const info = db.prepare(`INSERT OR IGNORE INTO robot_invocations (event_token, document_id, entity, entity_id, wait_reply,
+    reply_timeout_ms, properties_json, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`).run(
+    String(event_token),
+    document.document_id,
+    document.entity,
+    document.id,
+    isYes(properties.wait_reply) ? 1 : 0,
+    timeoutMs,
+    JSON.stringify(properties),
+    nowIso()
+  );
+  return info.changes ? info.lastInsertRowid : null;
+}
+
+export function linkInvocation(id, { campaign_id, target_id }) {
+  db.prepare('UPDATE robot_invocations SET campaign_id=?, target_id=? WHERE id=?').run(campaign_id, target_id, id);
+}
+
+function report(invocation, { result, error = null, target = null }) {
+  const returnValues = {
+    status: result,
+    error: error || '',
+    reply_text: invocation.reply_text || '',
+    wa_message_id: target?.wa_message_id || '',
+    campaign_id: invocation.campaign_id || 0
+  };
+  const tx = db.transaction(() => {
+    const changed = db.prepare(`UPDATE robot_invocations SET status='reported', result=?, error=?, reported_at=? WHERE id=? AND status='pending'`)
+      .run(result, error ? String(error).slice(0, 500) : null, nowIso(), invocation.id).changes;
+    if (!changed) return;
+    enqueueBitrixCall('bizproc.event.send', {
+      event_token: invocation.event_token,
+      return_values: returnValues,
+      log_message: `[WhatsApp] ${result}${error ? `: ${error}` : ''}`
+    });
+  });
+  tx();
+}
+
+// Una ejecución que no llegó a encolar nada (documento sin teléfono, plantilla inválida…)
+export function failInvocation(id, error) {
+  const invocation = db.prepare('SELECT * FROM robot_invocations WHERE id=?').get(id);
+  if (invocation) report(invocation, { result: 'error', error });
+}
+
+// Guarda la respuesta del cliente en las ejecuciones que esperan por ese destinatario
+export function recordRobotReply(target, text) {
+  db.prepare(`UPDATE robot_invocations SET reply_text=? WHERE target_id=? AND status='pending' AND reply_text IS NULL`)
+    .run(String(text || '').slice(0, 2000), target.id);
+}
+
+// Plazo de la ejecución: desde el envío o, si el mensaje aún no salió, desde la invocación
+function deadlineOf(invocation, target) {
+  const timeoutMs = invocation.reply_timeout_ms || REPLY_TIMEOUT_HOURS * 60 * 60 * 1000;
+  const start = Date.parse(target.sent_at || '') || Date.parse(invocation.created_at);
+  return start + timeoutMs;
+}
+
+function outcome(invocation, target, now) {
+  if (TERMINAL_FAILURES.includes(target.status)) return { result: target.status, error: target.last_error };
+  if (invocation.wait_reply) {
+    if (target.replied_at) return { result: 'replied' };
+  } else {
+    if (target.status === 'delivered' || target.status === 'read') return { result: target.status };
+    if (target.replied_at) return { result: 'delivered' };
+  }
+  if (deadlineOf(invocation, target) > now) return null;
+  if (invocation.wait_reply && target.sent_at) return { result: 'no_reply' };
+  return { result: 'undelivered', error: target.sent_at ? 'Meta no confirmó la entrega' : 'El mensaje no llegó a enviarse' };
+}
+
+/**
+ * Devuelve a Bitrix24 (bizproc.event.send, vía outbox) el resultado de cada ejecución pendiente:
+ * entregado/leído, o respondido/sin respuesta si el robot espera respuesta; fallos siempre, y
+ * `undelivered` si vence el plazo sin confirmación. Solo se revisan las ejecuciones cuyo
+ * destinatario cambió desde la última pasada o cuyo plazo ya venció.
+ */
+export function processRobotInvocations({ now = Date.now() } = {}) {
+  const checkedAt = nowIso();
+  const rows = db.prepare(`SELECT r.*, t.status AS target_status, t.last_error, t.sent_at, t.replied_at, t.wa_message_id
+    FROM robot_invocations r JOIN campaign_targets t ON t.id=r.target_id
+    WHERE r.status='pending' AND (r.checked_at IS NULL OR t.updated_at>=r.checked_at OR r.due_at<=?)`).all(now);
+  const markChecked = db.prepare('UPDATE robot_invocations SET checked_at=?, due_at=? WHERE id=?');
+  let reported = 0;
+  for (const row of rows) {
+    const target = { status: row.target_status, last_error: row.last_error, sent_at: row.sent_at, replied_at: row.replied_at, wa_message_id: row.wa_message_id };
+    const result = outcome(row, target, now);
+    if (!result) {
+      markChecked.run(checkedAt, deadlineOf(row, target), row.id);
+      continue;
+    }
+    report(row, { ...result, target });
+    reported += 1;
+  }
+  return reported;
+}
+
+export function listInvocations({ status = null, limit = 50, offset = 0 } = {}) {
+  const where = status ? 'WHERE status=?' : '';
+  const params = status ? [status, limit, offset] : [limit, offset];
+  return db.prepare(`SELECT * FROM robot_invocations ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params)
+    .map(({ properties_json, ...row }) => ({ ...row, properties: JSON.parse(properties_json || '{}') }));
+}
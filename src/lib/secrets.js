@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+const PREFIX = 'v1';
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// SENDER_TOKEN_KEY: 32 bytes en hex/base64, o cualquier frase (se deriva con SHA-256)
+function encryptionKey() {
+  const raw = String(process.env.SENDER_TOKEN_KEY || '').trim();
+  if (!raw) return null;
+  if (/^[0-9a-f]{64}$/i.test(raw)) return Buffer.from(raw, 'hex');
+  const b64 = Buffer.from(raw, 'base64');
+  if (b64.length === 32 && b64.toString('base64').replace(/=+$/, '') === raw.replace(/=+$/, '')) return b64;
+  return crypto.createHash('sha256').update(raw).digest();
+}
+
+export function hasEncryptionKey() {
+  return Boolean(encryptionKey());
+}
+
+// AES-256-GCM: "v1:iv:tag:cifrado" en base64
+export function encryptSecret(plain) {
+  const key = encryptionKey();
+  if (!key) throw httpError(500, 'Define SENDER_TOKEN_KEY en .env para guardar tokens de remitentes');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [PREFIX, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+export function decryptSecret(encoded) {
+  const [prefix, iv, tag, data] = String(encoded || '').split(':');
+  if (prefix !== PREFIX || !iv || !tag || !data) throw new Error('Token cifrado con formato desconocido');
+  const key = encryptionKey();
+  if (!key) throw new Error('Falta SENDER_TOKEN_KEY para descifrar el token del remitente');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('No se pudo descifrar el token del remitente (¿cambió SENDER_TOKEN_KEY?)');
+  }
+}
@@ -0,0 +1,196 @@
+import db from './db.js';
+import { encryptSecret, decryptSecret } from './secrets.js';
+
+const DEFAULT_QPS = Number(process.env.SENDER_QPS || 8);
+// Con calidad YELLOW el remitente envía a esta fracción de su qps
+const YELLOW_QPS_FACTOR = Number(process.env.SENDER_YELLOW_QPS_FACTOR || 0.5);
+// Fracción del límite diario del tier a partir de la cual se deja de enviar
+const TIER_THRESHOLD = Number(process.env.SENDER_TIER_THRESHOLD || 0.9);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Destinatarios únicos por 24 h móviles que permite cada tier de Meta
+export const TIER_LIMITS = {
+  TIER_50: 50,
+  TIER_250: 250,
+  TIER_1K: 1000,
+  TIER_2K: 2000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: Infinity
+};
+
+const BLOCKING_META_STATUS = ['RESTRICTED', 'BANNED', 'DISCONNECTED', 'DELETED'];
+
+function nowIso() { return new Date().toISOString(); }
+
+function parseQps(raw) {
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function parseSenderId(raw) {
+  if (raw === undefined || raw === null) return null;
+  const str = String(raw).trim();
+  return str || null;
+}
+
+export function parseSenderDisplay(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw === 'string') {
+    const trimmed = raw.trim();
+    return trimmed || null;
+  }
+  const str = String(raw).trim();
+  return str || null;
+}
+
+export function ensureSender(phone_id, { display, qps, waba_id, access_token } = {}) {
+  const resolved = parseSenderId(phone_id) || parseSenderId(process.env.WA_PHONE_NUMBER_ID);
+  if (!resolved) {
+    throw new Error('Debes configurar WA_PHONE_NUMBER_ID en .env o enviar sender_phone_id.');
+  }
+
+  // Se cifra antes de escribir nada: sin SENDER_TOKEN_KEY no queda un remitente a medias
+  const credentials = credentialValues({ waba_id, access_token });
+  const existing = db.prepare('SELECT display, qps FROM senders WHERE phone_id=?').get(resolved);
+  const desiredDisplay = parseSenderDisplay(display) || existing?.display || `+${resolved}`;
+  const desiredQps = parseQps(qps) || parseQps(existing?.qps) || DEFAULT_QPS;
+
+  db.transaction(() => {
+    if (!existing) {
+      db.prepare('INSERT OR IGNORE INTO senders (phone_id, display, qps, created_at) VALUES (?, ?, ?, ?)')
+        .run(resolved, desiredDisplay, desiredQps, nowIso());
+    } else {
+      if (desiredDisplay && desiredDisplay !== existing.display) {
+        db.prepare('UPDATE senders SET display=? WHERE phone_id=?').run(desiredDisplay, resolved);
+      }
+      if (desiredQps && desiredQps !== existing.qps) {
+        db.prepare('UPDATE senders SET qps=? WHERE phone_id=?').run(desiredQps, resolved);
+      }
+    }
+    writeCredentials(resolved, credentials);
+  })();
+  return resolved;
+}
+
+function credentialValues({ waba_id, access_token } = {}) {
+  const token = access_token === undefined || access_token === null ? '' : String(access_token).trim();
+  return { waba_id: parseSenderId(waba_id), access_token_enc: token ? encryptSecret(token) : null };
+}
+
+function writeCredentials(phone_id, { waba_id, access_token_enc }) {
+  if (waba_id) db.prepare('UPDATE senders SET waba_id=? WHERE phone_id=?').run(waba_id, phone_id);
+  if (access_token_enc) db.prepare('UPDATE senders SET access_token_enc=? WHERE phone_id=?').run(access_token_enc, phone_id);
+}
+
+// Solo actualiza lo que venga informado; el token se guarda cifrado (SENDER_TOKEN_KEY)
+export function setSenderCredentials(phone_id, credentials = {}) {
+  writeCredentials(phone_id, credentialValues(credentials));
+}
+
+/**
+ * Token y WABA con los que opera un remitente: los suyos si están en `senders`, si no
+ * WA_ACCESS_TOKEN / WA_WABA_ID del .env.
+ */
+export function getSenderCredentials(phone_id) {
+  const row = db.prepare('SELECT waba_id, access_token_enc FROM senders WHERE phone_id=?').get(phone_id);
+  const waba_id = row?.waba_id || process.env.WA_WABA_ID || process.env.META_WABA_ID || '';
+  let token = process.env.WA_ACCESS_TOKEN || '';
+  try {
+    if (row?.access_token_enc) token = decryptSecret(row.access_token_enc);
+  } catch (err) {
+    err.category = 'auth';
+    throw err;
+  }
+  if (!token) {
+    const err = new Error(`El remitente ${phone_id} no tiene token: configúralo en senders o define WA_ACCESS_TOKEN`);
+    err.category = 'auth';
+    throw err;
+  }
+  return { token, waba_id, own_token: Boolean(row?.access_token_enc) };
+}
+
+// WABAs con token propio (para sincronizar sus plantillas)
+export function listSenderWabas() {
+  const rows = db.prepare(`SELECT waba_id, access_token_enc FROM senders
+    WHERE waba_id IS NOT NULL AND access_token_enc IS NOT NULL GROUP BY waba_id`).all();
+  const out = [];
+  for (const row of rows) {
+    try {
+      out.push({ waba_id: row.waba_id, token: decryptSecret(row.access_token_enc) });
+    } catch (err) {
+      console.error(`[senders] No se pudo descifrar el token de la WABA ${row.waba_id}:`, err.message);
+    }
+  }
+  return out;
+}
+
+// Nunca se devuelve el token, solo si el remitente tiene uno propio
+function publicSender({ access_token_enc, ...row }) {
+  return { ...row, has_token: Boolean(access_token_enc) };
+}
+
+export function listSenders() {
+  return db.prepare('SELECT * FROM senders ORDER BY id').all().map(publicSender);
+}
+
+export function getSender(phone_id) {
+  const row = db.prepare('SELECT * FROM senders WHERE phone_id=?').get(phone_id);
+  return row ? publicSender(row) : null;
+}
+
+// No se borra un remitente con jobs en cola o campañas que aún pueden enviar con él
+export function deleteSender(phone_id) {
+  const queued = db.prepare(`SELECT COUNT(1) c FROM queue WHERE phone_id=? AND status IN ('queued','processing')`).get(phone_id).c;
+  const campaigns = db.prepare(`SELECT COUNT(1) c FROM campaigns WHERE status IN ('draft','scheduled','running','paused')
+    AND (sender_phone_id=? OR sender_pool_json LIKE ?)`).get(phone_id, `%"${phone_id}"%`).c;
+  if (queued || campaigns) {
+    const err = new Error(`El remitente ${phone_id} está en uso (${campaigns} campaña(s) activas, ${queued} job(s) en cola)`);
+    err.status = 409;
+    throw err;
+  }
+  return db.prepare('DELETE FROM senders WHERE phone_id=?').run(phone_id).changes > 0;
+}
+
+export function getSenderWabaId(phone_id) {
+  const row = db.prepare('SELECT waba_id FROM senders WHERE phone_id=?').get(phone_id);
+  return row?.waba_id || null;
+}
+
+export function getSenderQps(phone_id) {
+  const row = db.prepare('SELECT qps FROM senders WHERE phone_id=?').get(phone_id);
+  return parseQps(row?.qps) || DEFAULT_QPS;
+}
+
+// Incluye las plantillas de respaldo de los mensajes de sesión: también abren conversación
+export function uniqueRecipientsLast24h(phone_id, now = Date.now()) {
+  const since = new Date(now - DAY_MS).toISOString();
+  return db.prepare(`SELECT COUNT(1) c FROM (
+    SELECT phone FROM campaign_targets WHERE sender_phone_id=? AND sent_at>=?
+    UNION SELECT phone FROM session_messages WHERE via='template' AND phone_id=? AND created_at>=? AND wa_message_id IS NOT NULL)`)
+    .get(phone_id, since, phone_id, since).c;
+}
+
+/**
+ * Ritmo efectivo de un remitente según lo último que informó Meta: qps reducido con calidad
+ * YELLOW y `paused` (motivo) con calidad RED, número restringido o cerca del límite del tier.
+ */
+export function getSenderThrottle(phone_id, { now = Date.now() } = {}) {
+  const row = db.prepare('SELECT qps, quality_rating, messaging_limit_tier, meta_status FROM senders WHERE phone_id=?').get(phone_id);
+  const base = parseQps(row?.qps) || DEFAULT_QPS;
+  const quality = String(row?.quality_rating || '').toUpperCase();
+  const metaStatus = String(row?.meta_status || '').toUpperCase();
+  const tierLimit = TIER_LIMITS[String(row?.messaging_limit_tier || '').toUpperCase()] ?? null;
+
+  if (quality === 'RED') return { qps: 0, paused: 'quality_red' };
+  if (BLOCKING_META_STATUS.includes(metaStatus)) return { qps: 0, paused: `meta_status_${metaStatus.toLowerCase()}` };
+  if (tierLimit !== null && Number.isFinite(tierLimit)) {
+    const sent = uniqueRecipientsLast24h(phone_id, now);
+    if (sent >= Math.floor(tierLimit * TIER_THRESHOLD)) {
+      // Motivo estable (el worker compara motivos para no repetir el aviso); el uso va aparte
+      return { qps: 0, paused: 'tier_limit', tier_usage: { sent, limit: tierLimit } };
+    }
+  }
+  if (quality === 'YELLOW') return { qps: Math.max(1, Math.floor(base * YELLOW_QPS_FACTOR)), paused: null };
+  return { qps: base, paused: null };
+}
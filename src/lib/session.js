@@ -0,0 +1,305 @@
+import db from './db.js';
+import { normalizePhone, isLikelyValidPhone } from './phone.js';
+import { parseSenderId, getSenderWabaId, getSenderThrottle } from './senders.js';
+import { isSuppressed } from './suppressions.js';
+import { checkFrequencyCap, normalizeCategory } from './frequency.js';
+import { getWabaId } from './templates.js';
+import { sendMessage, sendTemplate, classifySendError } from './wa.js';
+
+export const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LANG = process.env.WA_TEMPLATE_LANG || 'es';
+const FALLBACK_TEMPLATE = process.env.SESSION_FALLBACK_TEMPLATE || '';
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const STATUS_ORDER = ['sent', 'delivered', 'read'];
+// Meta rechaza el mensaje de sesión porque la ventana está cerrada (re-engagement)
+const WINDOW_CLOSED_CODE = 131047;
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function inboundAt(row) {
+  const seconds = Number(row.status_ts);
+  if (Number.isFinite(seconds) && seconds > 0) return seconds * 1000;
+  return Date.parse(row.created_at);
+}
+
+/**
+ * Ventana de atención de 24 h a partir del último mensaje del cliente registrado en `events`.
+ * Con phone_id se mira solo la conversación con ese número del negocio (las respuestas
+ * registradas antes de guardar el número cuentan para cualquiera).
+ */
+export function getSessionWindow(phone, { phone_id = null, now = Date.now() } = {}) {
+  const normalized = normalizePhone(phone);
+  const where = phone_id ? "AND (phone_id=? OR phone_id IS NULL)" : '';
+  const params = phone_id ? [normalized, phone_id] : [normalized];
+  const row = db.prepare(`SELECT phone_id, status_ts, created_at FROM events
+    WHERE phone=? AND type='reply' ${where} ORDER BY id DESC LIMIT 1`).get(...params);
+  if (!row) return { phone: normalized, open: false, last_inbound_at: null, expires_at: null, phone_id: null };
+  const last = inboundAt(row);
+  return {
+    phone: normalized,
+    open: last + SESSION_WINDOW_MS > now,
+    last_inbound_at: new Date(last).toISOString(),
+    expires_at: new Date(last + SESSION_WINDOW_MS).toISOString(),
+    phone_id: row.phone_id
+  };
+}
+
+function requireText(value, field, max) {
+  const text = String(value ?? '').trim();
+  if (!text) throw httpError(400, `Falta ${field}`);
+  if (text.length > max) throw httpError(400, `${field} supera ${max} caracteres`);
+  return text;
+}
+
+function optionalText(value, field, max) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return requireText(value, field, max);
+}
+
+function buildMedia(type, input) {
+  const media = input.media && typeof input.media === 'object' ? input.media : input;
+  const content = {};
+  if (media.id) content.id = String(media.id);
+  else if (media.link || media.url) content.link = String(media.link || media.url);
+  else throw httpError(400, `El mensaje ${type} necesita link o id del medio`);
+  if (type !== 'audio' && type !== 'sticker') {
+    const caption = optionalText(media.caption ?? input.caption, 'caption', 1024);
+    if (caption) content.caption = caption;
+  }
+  if (type === 'document') {
+    const filename = optionalText(media.filename ?? input.filename, 'filename', 240);
+    if (filename) content.filename = filename;
+  }
+  return content;
+}
+
+function buildLocation(input) {
+  const loc = input.location && typeof input.location === 'object' ? input.location : input;
+  const latitude = Number(loc.latitude);
+  const longitude = Number(loc.longitude);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    throw httpError(400, 'La ubicación necesita latitude y longitude válidas');
+  }
+  const content = { latitude, longitude };
+  const name = optionalText(loc.name, 'name', 1000);
+  const address = optionalText(loc.address, 'address', 1000);
+  if (name) content.name = name;
+  if (address) content.address = address;
+  return content;
+}
+
+function buildReaction(input) {
+  const reaction = input.reaction && typeof input.reaction === 'object' ? input.reaction : input;
+  const messageId = requireText(reaction.message_id, 'message_id de la reacción', 256);
+  // emoji vacío quita la reacción
+  return { message_id: messageId, emoji: String(reaction.emoji ?? '') };
+}
+
+function interactiveShell(input, action) {
+  const content = { body: { text: requireText(input.body ?? input.text, 'body', 1024) }, action };
+  const header = optionalText(input.header, 'header', 60);
+  const footer = optionalText(input.footer, 'footer', 60);
+  if (header) content.header = { type: 'text', text: header };
+  if (footer) content.footer = { text: footer };
+  return content;
+}
+
+function buildButtons(input) {
+  const buttons = Array.isArray(input.buttons) ? input.buttons : [];
+  if (!buttons.length || buttons.length > 3) throw httpError(400, 'Un mensaje con botones lleva entre 1 y 3 botones');
+  const seen = new Set();
+  const items = buttons.map((button, idx) => {
+    const title = requireText(typeof button === 'object' ? button?.title : button, `buttons[${idx}].title`, 20);
+    const id = requireText((typeof button === 'object' && button?.id) || title, `buttons[${idx}].id`, 256);
+    if (seen.has(id)) throw httpError(400, `Botón repetido: ${id}`);
+    seen.add(id);
+    return { type: 'reply', reply: { id, title } };
+  });
+  return { type: 'button', ...interactiveShell(input, { buttons: items }) };
+}
+
+function buildList(input) {
+  const sections = Array.isArray(input.sections) ? input.sections : (Array.isArray(input.rows) ? [{ rows: input.rows }] : []);
+  if (!sections.length || sections.length > 10) throw httpError(400, 'Una lista lleva entre 1 y 10 secciones');
+  let total = 0;
+  const seen = new Set();
+  const built = sections.map((section, s) => {
+    const rows = Array.isArray(section?.rows) ? section.rows : [];
+    if (!rows.length) throw httpError(400, `sections[${s}] no tiene filas`);
+    total += rows.length;
+    const out = {
+      rows: rows.map((row, r) => {
+        const title = requireText(typeof row === 'object' ? row?.title : row, `sections[${s}].rows[${r}].title`, 24);
+        const id = requireText((typeof row === 'object' && row?.id) || title, `sections[${s}].rows[${r}].id`, 200);
+        if (seen.has(id)) throw httpError(400, `Fila repetida: ${id}`);
+        seen.add(id);
+        const description = optionalText(row?.description, `sections[${s}].rows[${r}].description`, 72);
+        return description ? { id, title, description } : { id, title };
+      })
+    };
+    const title = optionalText(section.title, `sections[${s}].title`, 24);
+    if (title) out.title = title;
+    else if (sections.length > 1) throw httpError(400, `sections[${s}] necesita title (hay varias secciones)`);
+    return out;
+  });
+  if (total > 10) throw httpError(400, 'Una lista admite como máximo 10 filas en total');
+  const button = requireText(input.button || 'Ver opciones', 'button', 20);
+  return { type: 'list', ...interactiveShell(input, { button, sections: built }) };
+}
+
+/**
+ * Valida un mensaje de sesión y devuelve { type, content } listo para la Cloud API.
+ * Tipos: text, image, video, audio, document, sticker, location, reaction,
+ * buttons (botones de respuesta) y list.
+ */
+export function buildSessionMessage(input = {}) {
+  const type = String(input.type || (input.text !== undefined ? 'text' : '')).trim().toLowerCase();
+  if (type === 'text') {
+    return { type, content: { body: requireText(input.text ?? input.body, 'text', 4096), preview_url: Boolean(input.preview_url) } };
+  }
+  if (MEDIA_TYPES.includes(type)) return { type, content: buildMedia(type, input) };
+  if (type === 'location') return { type, content: buildLocation(input) };
+  if (type === 'reaction') return { type, content: buildReaction(input) };
+  if (type === 'buttons' || type === 'button') return { type: 'interactive', content: buildButtons(input) };
+  if (type === 'list') return { type: 'interactive', content: buildList(input) };
+  throw httpError(400, `Tipo de mensaje no soportado: ${type || '(vacío)'} (usa text, ${MEDIA_TYPES.join(', ')}, location, reaction, buttons o list)`);
+}
+
+/**
+ * Plantilla de respaldo para cuando la ventana está cerrada: true usa SESSION_FALLBACK_TEMPLATE,
+ * "nombre" o "nombre:idioma" una concreta, y { template_name, language, components } la detalla.
+ * `params` rellena las variables del cuerpo en orden.
+ */
+export function parseFallbackTemplate(raw, params = null) {
+  if (raw === undefined || raw === null || raw === false || raw === '' || raw === 'false') return null;
+  let spec = raw === true || raw === 'true' ? FALLBACK_TEMPLATE : raw;
+  if (!spec) throw httpError(400, 'fallback=true necesita SESSION_FALLBACK_TEMPLATE en .env');
+  if (typeof spec === 'string') {
+    const idx = spec.lastIndexOf(':');
+    spec = idx > 0 ? { template_name: spec.slice(0, idx), language: spec.slice(idx + 1) } : { template_name: spec };
+  }
+  const templateName = String(spec.template_name || spec.name || '').trim();
+  if (!templateName) throw httpError(400, 'La plantilla de respaldo no tiene nombre');
+  let components = Array.isArray(spec.components) ? spec.components : [];
+  const bodyParams = params ?? spec.params;
+  if (!components.length && Array.isArray(bodyParams) && bodyParams.length) {
+    components = [{ type: 'body', parameters: bodyParams.map((value) => ({ type: 'text', text: String(value ?? '') })) }];
+  }
+  return { template_name: templateName, language: String(spec.language || DEFAULT_LANG), components };
+}
+
+function recordSessionMessage({ phone, phone_id, type, via, payload, template_category = null, wa_message_id = null, status = 'sent', error = null }) {
+  const now = nowIso();
+  const info = db.prepare(`INSERT INTO session_messages (phone, phone_id, type, via, payload_json, template_category, wa_message_id, status, error,
+    created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+    phone, phone_id, type, via, JSON.stringify(payload), template_category, wa_message_id, status, error ? String(error).slice(0, 500) : null, now, now
+  );
+  return info.lastInsertRowid;
+}
+
+async function deliver({ send, ...record }) {
+  try {
+    const data = await send();
+    const waMessageId = data?.messages?.[0]?.id || null;
+    const id = recordSessionMessage({ ...record, wa_message_id: waMessageId });
+    return { id, via: record.via, wa_message_id: waMessageId };
+  } catch (err) {
+    const failure = classifySendError(err);
+    const { phone } = record;
+    recordSessionMessage({ ...record, status: 'failed', error: failure.reason });
+    if (failure.code === WINDOW_CLOSED_CODE) {
+      throw httpError(409, `WhatsApp indica que la ventana de 24 h con ${phone} está cerrada: envía una plantilla`);
+    }
+    const error = httpError(failure.category === 'auth' ? 401 : 502, `WhatsApp rechazó el mensaje: ${failure.reason}`);
+    error.category = failure.category;
+    throw error;
+  }
+}
+
+// Categoría de la plantilla de respaldo en el catálogo (la WABA del remitente primero)
+function fallbackCategory(fallback, sender) {
+  const wabaId = getSenderWabaId(sender) || getWabaId() || '';
+  const row = db.prepare(`SELECT category FROM templates WHERE name=? AND language=? ORDER BY waba_id=? DESC LIMIT 1`)
+    .get(fallback.template_name, fallback.language, String(wabaId));
+  return normalizeCategory(row?.category);
+}
+
+/**
+ * Envía un mensaje de sesión a un teléfono con la ventana abierta. Sin sender_phone_id se responde
+ * desde el número al que escribió el cliente. Con la ventana cerrada se rechaza (409) salvo que
+ * se indique plantilla de respaldo, que respeta la lista de bajas, los límites de frecuencia y la
+ * pausa del remitente como cualquier campaña, y cuenta en esos mismos límites.
+ */
+export async function sendSessionMessage({ to, phone_id = null, message, reply_to = null, fallback = null }) {
+  const phone = normalizePhone(to);
+  if (!isLikelyValidPhone(phone)) throw httpError(400, `Teléfono inválido: ${to ?? '(vacío)'}`);
+  const built = buildSessionMessage(message);
+  const requested = parseSenderId(phone_id);
+  const window = getSessionWindow(phone, { phone_id: requested });
+  if (!window.open && !fallback) {
+    const since = window.last_inbound_at ? `cerró el ${window.expires_at}` : 'no se ha abierto (el cliente no ha escrito)';
+    const err = httpError(409, `La ventana de 24 h con ${phone} ${since}: solo se puede enviar una plantilla`);
+    err.window = window;
+    throw err;
+  }
+  const sender = requested || window.phone_id || parseSenderId(process.env.WA_PHONE_NUMBER_ID);
+  if (!sender) throw httpError(400, 'Debes configurar WA_PHONE_NUMBER_ID en .env o enviar sender_phone_id.');
+
+  if (window.open) {
+    const result = await deliver({
+      phone,
+      phone_id: sender,
+      type: built.type,
+      via: 'session',
+      payload: reply_to ? { ...built, context: reply_to } : built,
+      send: () => sendMessage({ phone_id: sender, to: phone, type: built.type, content: built.content, context: reply_to })
+    });
+    return { ...result, phone, phone_id: sender, window };
+  }
+
+  if (isSuppressed(phone)) throw httpError(409, `${phone} está en la lista de bajas: no se envía la plantilla de respaldo`);
+  const category = fallbackCategory(fallback, sender);
+  const capped = checkFrequencyCap(phone, category);
+  if (capped) throw httpError(409, `${phone} alcanzó el límite de frecuencia (${capped}): no se envía la plantilla de respaldo`);
+  const { paused } = getSenderThrottle(sender);
+  if (paused) throw httpError(409, `El remitente ${sender} está en pausa (${paused}): no se envía la plantilla de respaldo`);
+  const result = await deliver({
+    phone,
+    phone_id: sender,
+    type: 'template',
+    via: 'template',
+    payload: fallback,
+    template_category: category,
+    send: () => sendTemplate({ phone_id: sender, to: phone, ...fallback })
+  });
+  return { ...result, phone, phone_id: sender, window };
+}
+
+// Estados de Meta para los mensajes de sesión; devuelve true si el mensaje era uno de ellos
+export function mirrorSessionStatus(status) {
+  const row = db.prepare('SELECT id, status FROM session_messages WHERE wa_message_id=?').get(status?.id);
+  if (!row) return false;
+  if (status.status === 'failed') {
+    const reason = Array.isArray(status.errors) ? status.errors.map((e) => e.title || e.message).filter(Boolean).join('; ') : 'failed';
+    db.prepare(`UPDATE session_messages SET status='failed', error=?, updated_at=? WHERE id=? AND status IN ('sent', 'delivered')`)
+      .run(reason.slice(0, 500), nowIso(), row.id);
+    return true;
+  }
+  if (row.status === 'failed' || STATUS_ORDER.indexOf(status.status) <= STATUS_ORDER.indexOf(row.status)) return true;
+  db.prepare('UPDATE session_messages SET status=?, updated_at=? WHERE id=?').run(status.status, nowIso(), row.id);
+  return true;
+}
+
+export function listSessionMessages({ phone = null, limit = 50, offset = 0 } = {}) {
+  const where = phone ? 'WHERE phone=?' : '';
+  const params = phone ? [normalizePhone(phone), limit, offset] : [limit, offset];
+  return db.prepare(`SELECT * FROM session_messages ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+    .all(...params)
+    .map(({ payload_json, ...row }) => ({ ...row, payload: JSON.parse(payload_json) }));
+}
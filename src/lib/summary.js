@@ -0,0 +1,83 @@
+import db from './db.js';
+import { getCampaignSummary } from './campaigns.js';
+import { enqueueBitrixCall, enqueueTimelineComment } from './outbox.js';
+
+const SUMMARY_USER_ID = process.env.BITRIX_SUMMARY_USER_ID || '';
+// Espera tras finished_at para que lleguen entregas, lecturas y respuestas antes de contar
+const SETTLE_MS = Number(process.env.SUMMARY_SETTLE_MS || 30 * 60 * 1000);
+
+function nowIso() { return new Date().toISOString(); }
+
+function parseJson(raw, fallback = null) {
+  try {
+    return JSON.parse(raw || '') ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function bitrixEntitiesOf(campaign_id) {
+  const rows = db.prepare('SELECT vars_json FROM campaign_targets WHERE campaign_id=?').all(campaign_id);
+  const seen = new Map();
+  for (const row of rows) {
+    const meta = parseJson(row.vars_json, {})?._bitrix;
+    if (meta?.entity && meta?.id) seen.set(`${meta.entity}:${meta.id}`, meta);
+  }
+  return Array.from(seen.values());
+}
+
+export function buildSummaryMessage(camp, summary) {
+  const status = String(camp?.status || '').toUpperCase();
+  return `[WhatsApp] Campaña "${camp?.name || ''}" (#${camp?.id}) finalizada (${status}): `
+    + `${summary.total} destinatarios · enviados ${summary.sent} · entregados ${summary.delivered} · `
+    + `leídos ${summary.read} · fallidos ${summary.failed} · respondieron ${summary.replied}.`;
+}
+
+/**
+ * Publica (vía outbox) el resumen de una campaña originada en Bitrix24. Con BITRIX_SUMMARY_USER_ID
+ * (o meta.summary_user_id de la campaña) se envía como notificación a ese usuario; si no, como
+ * comentario en la línea de tiempo de cada entidad de origen (el outbox los agrupa en `batch`).
+ */
+export function postCampaignSummary(campaign_id) {
+  const camp = db.prepare('SELECT * FROM campaigns WHERE id=?').get(campaign_id);
+  if (!camp) return null;
+  const entities = bitrixEntitiesOf(campaign_id);
+  if (!entities.length) return null;
+
+  const meta = parseJson(camp.meta_json, {}) || {};
+  // Las campañas del robot devuelven su resultado al flujo (bizproc.event.send), sin resumen
+  if (meta.robot) return null;
+  const userId = meta.summary_user_id || SUMMARY_USER_ID;
+  const message = buildSummaryMessage(camp, getCampaignSummary(campaign_id));
+
+  if (userId) {
+    enqueueBitrixCall('im.notify.system.add', { USER_ID: Number(userId), MESSAGE: message });
+    return { to: 'user', user_id: userId };
+  }
+  for (const entity of entities) {
+    enqueueTimelineComment({ entity: entity.entity, entityId: entity.id, comment: message });
+  }
+  return { to: 'entities', entities: entities.length };
+}
+
+// Resúmenes de campañas cerradas hace más de SUMMARY_SETTLE_MS. La marca y el encolado van en la
+// misma transacción: con varios workers solo uno la toma y, si algo falla, se reintenta en la siguiente vuelta.
+export function postDueSummaries(now = Date.now()) {
+  const cutoff = new Date(now - SETTLE_MS).toISOString();
+  const due = db.prepare(`SELECT id FROM campaigns WHERE status IN ('done','error')
+    AND summary_posted_at IS NULL AND finished_at IS NOT NULL AND finished_at<=?`).all(cutoff);
+  const claim = db.prepare('UPDATE campaigns SET summary_posted_at=? WHERE id=? AND summary_posted_at IS NULL');
+  const posted = [];
+  for (const { id } of due) {
+    try {
+      const result = db.transaction(() => {
+        if (!claim.run(nowIso(), id).changes) return null;
+        return postCampaignSummary(id);
+      })();
+      if (result) posted.push({ campaign_id: id, ...result });
+    } catch (err) {
+      console.error(`[bitrix] no se pudo publicar el resumen de la campaña ${id}:`, err.message);
+    }
+  }
+  return posted;
+}
@@ -0,0 +1,68 @@
+import db from './db.js';
+
+function nowIso() { return new Date().toISOString(); }
+
+function parseList(raw) {
+  return String(raw || '')
+    .split(',')
+    .map(normalizeKeyword)
+    .filter(Boolean);
+}
+
+// Mayúsculas, sin tildes ni signos: "¡Baja!" -> "BAJA"
+export function normalizeKeyword(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9_ ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+const OPTOUT_KEYWORDS = parseList(process.env.OPTOUT_KEYWORDS || 'BAJA,STOP,CANCELAR,DESUSCRIBIR,NO ENVIAR');
+const OPTOUT_PAYLOADS = parseList(process.env.OPTOUT_PAYLOADS || 'BAJA,STOP,OPT_OUT');
+
+/**
+ * Detecta una baja en un mensaje entrante de WhatsApp: payload de botón (plantilla o interactivo)
+ * incluido en OPTOUT_PAYLOADS, o un texto que coincide exactamente con OPTOUT_KEYWORDS.
+ */
+export function detectOptOut(message) {
+  const payload = message?.button?.payload || message?.interactive?.button_reply?.id;
+  if (payload && OPTOUT_PAYLOADS.includes(normalizeKeyword(payload))) {
+    return { source: 'button', value: String(payload) };
+  }
+  const text = message?.text?.body || message?.button?.text || message?.interactive?.button_reply?.title;
+  if (text && OPTOUT_KEYWORDS.includes(normalizeKeyword(text))) {
+    return { source: 'keyword', value: String(text).trim() };
+  }
+  return null;
+}
+
+export function isSuppressed(phone) {
+  if (!phone) return false;
+  return Boolean(db.prepare('SELECT 1 FROM suppressions WHERE phone=?').get(phone));
+}
+
+export function getSuppression(phone) {
+  return db.prepare('SELECT * FROM suppressions WHERE phone=?').get(phone) || null;
+}
+
+export function addSuppression({ phone, reason = null, source = 'api', campaign_id = null }) {
+  db.prepare(`INSERT INTO suppressions (phone, reason, source, campaign_id, created_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(phone) DO NOTHING`).run(phone, reason, source, campaign_id, nowIso());
+  return getSuppression(phone);
+}
+
+export function removeSuppression(phone) {
+  return db.prepare('DELETE FROM suppressions WHERE phone=?').run(phone).changes > 0;
+}
+
+export function listSuppressions({ limit = 100, offset = 0, phone } = {}) {
+  const where = phone ? 'WHERE phone LIKE ?' : '';
+  const params = phone ? [`%${phone}%`] : [];
+  const total = db.prepare(`SELECT COUNT(1) c FROM suppressions ${where}`).get(...params).c;
+  const items = db.prepare(`SELECT * FROM suppressions ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset);
+  return { total, items };
+}
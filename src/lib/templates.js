@@ -0,0 +1,219 @@
+import axios from 'axios';
+import db from './db.js';
+import { WA_BASE, WA_TIMEOUT_MS } from './wa.js';
+import { listSenderWabas } from './senders.js';
+
+const TEMPLATE_FIELDS = 'id,name,language,status,category,parameter_format,components';
+
+function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseJson(raw, fallback) {
+  try {
+    return JSON.parse(raw || '') ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function extractPlaceholders(text) {
+  if (!text) return [];
+  const out = [];
+  for (const match of String(text).matchAll(/{{\s*([A-Za-z0-9_]+)\s*}}/g)) {
+    if (!out.includes(match[1])) out.push(match[1]);
+  }
+  return out;
+}
+
+export function getWabaId() {
+  return process.env.WA_WABA_ID || process.env.META_WABA_ID || '';
+}
+
+export async function fetchTemplatesFromMeta({ wabaId = getWabaId(), token = process.env.WA_ACCESS_TOKEN } = {}) {
+  if (!wabaId || !token) {
+    throw new Error('Faltan WA_WABA_ID y/o WA_ACCESS_TOKEN para sincronizar plantillas.');
+  }
+  const out = [];
+  let url = `${WA_BASE}/${wabaId}/message_templates`;
+  let params = { fields: TEMPLATE_FIELDS, limit: 100 };
+  while (url) {
+    const res = await axios.get(url, { params, headers: { Authorization: `Bearer ${token}` }, timeout: WA_TIMEOUT_MS });
+    if (Array.isArray(res.data?.data)) out.push(...res.data.data);
+    // paging.next ya incluye los parámetros y el cursor
+    url = res.data?.paging?.next || null;
+    params = undefined;
+  }
+  return out;
+}
+
+// Reemplaza el catálogo local de una WABA por lo que devuelve Meta
+export async function syncTemplates({ wabaId = getWabaId(), token } = {}) {
+  const remote = await fetchTemplatesFromMeta({ wabaId, token });
+  const syncedAt = nowIso();
+  const upsert = db.prepare(`INSERT INTO templates (waba_id, meta_id, name, language, status, category, parameter_format, components_json, synced_at)
+    VALUES (@waba_id, @meta_id, @name, @language, @status, @category, @parameter_format, @components_json, @synced_at)
+    ON CONFLICT(waba_id, name, language) DO UPDATE SET meta_id=excluded.meta_id, status=excluded.status,
+      category=excluded.category, parameter_format=excluded.parameter_format, components_json=excluded.components_json,
+      synced_at=excluded.synced_at`);
+
+  const tx = db.transaction(() => {
+    for (const tpl of remote) {
+      upsert.run({
+        waba_id: String(wabaId),
+        meta_id: tpl.id ? String(tpl.id) : null,
+        name: tpl.name,
+        language: tpl.language,
+        status: String(tpl.status || 'UNKNOWN').toUpperCase(),
+        category: tpl.category ? String(tpl.category).toUpperCase() : null,
+        parameter_format: String(tpl.parameter_format || 'POSITIONAL').toUpperCase(),
+        components_json: JSON.stringify(tpl.components || []),
+        synced_at: syncedAt
+      });
+    }
+    const removed = db.prepare('DELETE FROM templates WHERE waba_id=? AND synced_at<>?').run(String(wabaId), syncedAt).changes;
+    return { synced: remote.length, removed };
+  });
+  return tx();
+}
+
+// WABAs a sincronizar: la del .env y las de remitentes con token propio (su token prevalece)
+export function listSyncTargets() {
+  const targets = new Map();
+  if (getWabaId() && process.env.WA_ACCESS_TOKEN) {
+    targets.set(String(getWabaId()), { wabaId: String(getWabaId()), token: process.env.WA_ACCESS_TOKEN });
+  }
+  for (const { waba_id, token } of listSenderWabas()) {
+    targets.set(String(waba_id), { wabaId: String(waba_id), token });
+  }
+  return Array.from(targets.values());
+}
+
+export async function syncAllTemplates({ wabaId } = {}) {
+  const targets = listSyncTargets().filter((t) => !wabaId || t.wabaId === String(wabaId));
+  const results = [];
+  for (const target of targets) {
+    try {
+      results.push({ waba_id: target.wabaId, ...(await syncTemplates(target)) });
+    } catch (err) {
+      results.push({ waba_id: target.wabaId, error: err?.response?.data?.error?.message || err.message });
+    }
+  }
+  return results;
+}
+
+export function listTemplates({ status, name, waba_id } = {}) {
+  const where = [];
+  const params = [];
+  if (waba_id) {
+    where.push('waba_id=?');
+    params.push(String(waba_id));
+  }
+  if (status) {
+    where.push('status=?');
+    params.push(String(status).toUpperCase());
+  }
+  if (name) {
+    where.push('name LIKE ?');
+    params.push(`%${name}%`);
+  }
+  const sql = `SELECT * FROM templates ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY name, language`;
+  return db.prepare(sql).all(...params).map(({ components_json, ...row }) => ({
+    ...row,
+    components: parseJson(components_json, []),
+    requirements: templateRequirements({ ...row, components_json })
+  }));
+}
+
+// Qué parámetros exige la plantilla: placeholders de header/body y botones URL dinámicos
+export function templateRequirements(template) {
+  const components = parseJson(template?.components_json, []);
+  const header = components.find((c) => c.type === 'HEADER');
+  const body = components.find((c) => c.type === 'BODY');
+  const buttons = components.find((c) => c.type === 'BUTTONS')?.buttons || [];
+  return {
+    named: template?.parameter_format === 'NAMED',
+    headerFormat: header?.format || null,
+    header: header?.format === 'TEXT' ? extractPlaceholders(header.text) : [],
+    body: extractPlaceholders(body?.text),
+    urlButtons: buttons
+      .map((button, index) => ({ index, dynamic: button.type === 'URL' && extractPlaceholders(button.url).length > 0 }))
+      .filter((button) => button.dynamic)
+      .map((button) => button.index)
+  };
+}
+
+function checkParams(where, expected, params, named) {
+  if (params.length !== expected.length) {
+    throw httpError(422, `${where}: la plantilla espera ${expected.length} parámetro(s) y el mapeo define ${params.length}`);
+  }
+  if (named) {
+    const missing = expected.filter((name) => !params.some((p) => p.name === name));
+    if (missing.length) throw httpError(422, `${where}: faltan parámetros con nombre ${missing.join(', ')}`);
+  }
+}
+
+function validateMapping(req, mapping) {
+  if (req.headerFormat === 'TEXT' && req.header.length) {
+    if (mapping.header?.format !== 'text') throw httpError(422, 'La plantilla tiene header de texto con variables: define components.header');
+    checkParams('header', req.header, mapping.header.params, req.named);
+  } else if (['IMAGE', 'VIDEO', 'DOCUMENT'].includes(req.headerFormat)) {
+    if (mapping.header?.format !== req.headerFormat.toLowerCase()) {
+      throw httpError(422, `La plantilla tiene header ${req.headerFormat}: define components.header con format ${req.headerFormat.toLowerCase()}`);
+    }
+  }
+  checkParams('body', req.body, mapping.body || [], req.named);
+  for (const index of req.urlButtons) {
+    if (!(mapping.buttons || []).some((b) => b.sub_type === 'url' && b.index === index)) {
+      throw httpError(422, `El botón ${index} de la plantilla tiene URL dinámica: define su parámetro en components.buttons`);
+    }
+  }
+}
+
+// Sin mapeo el worker manda el body posicional con las variables del destinatario
+function validateLegacyTargets(req, targets) {
+  if (req.named || req.header.length || ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(req.headerFormat) || req.urlButtons.length) {
+    throw httpError(422, 'La plantilla requiere parámetros de header, botones o con nombre: define components');
+  }
+  for (const target of targets) {
+    const count = Object.keys(target.vars || {}).filter((key) => !key.startsWith('_')).length;
+    if (count !== req.body.length) {
+      throw httpError(422, `El destinatario ${target.phone} tiene ${count} variable(s) y la plantilla espera ${req.body.length}`);
+    }
+  }
+}
+
+/**
+ * Rechaza la campaña si la plantilla no existe en el catálogo, no está aprobada, no tiene el idioma
+ * pedido o si las variables no cuadran con sus placeholders. Con el catálogo vacío (sin sincronizar)
+ * no se valida nada.
+ */
+export function validateCampaignTemplate({ template_name, language, mapping = null, targets = [], waba_id = null }) {
+  const catalogSize = db.prepare('SELECT COUNT(1) c FROM templates').get().c;
+  if (!catalogSize) return null;
+
+  // Si la WABA del remitente ya está sincronizada, la plantilla tiene que ser de esa WABA
+  const scoped = waba_id && db.prepare('SELECT 1 FROM templates WHERE waba_id=? LIMIT 1').get(String(waba_id));
+  const variants = scoped
+    ? db.prepare('SELECT * FROM templates WHERE name=? AND waba_id=?').all(template_name, String(waba_id))
+    : db.prepare('SELECT * FROM templates WHERE name=?').all(template_name);
+  if (!variants.length) {
+    throw httpError(422, `La plantilla ${template_name} no existe en el catálogo`);
+  }
+  const template = variants.find((t) => t.language === language);
+  if (!template) {
+    throw httpError(422, `La plantilla ${template_name} no está disponible en ${language} (idiomas: ${variants.map((t) => t.language).join(', ')})`);
+  }
+  if (template.status !== 'APPROVED') {
+    throw httpError(422, `La plantilla ${template_name}/${language} está en estado ${template.status}`);
+  }
+
+  const req = templateRequirements(template);
+  if (mapping) validateMapping(req, mapping);
+  else validateLegacyTargets(req, targets);
+  return template;
+}
@@ -1,21 +1,9 @@
 import axios from 'axios';
+import { getSenderCredentials } from './senders.js';
 
-const WA_BASE = 'https://graph.facebook.com/v21.0';
-
-export function inWindow(now, windowStr = '') {
-  if (!windowStr) return true;
-  const [start, end] = windowStr.split('-');
-  if (!start || !end) return true;
-  const toMinutes = (hhmm) => {
-    const [h, m] = hhmm.split(':').map(Number);
-    return h * 60 + m;
-  };
-  const minutes = now.getHours() * 60 + now.getMinutes();
-  const s = toMinutes(start);
-  const e = toMinutes(end);
-  if (e >= s) return minutes >= s && minutes <= e;
-  return minutes >= s || minutes <= e; // cruza medianoche
-}
+export const WA_BASE = 'https://graph.facebook.com/v21.0';
+// Muy por debajo de QUEUE_LEASE_MS: un envío colgado nunca sobrevive al lease de su job
+export const WA_TIMEOUT_MS = Number(process.env.WA_HTTP_TIMEOUT_MS || 15000);
 
 export async function sendTemplate({
   phone_id,
@@ -25,6 +13,8 @@ export async function sendTemplate({
   language = 'es',
   components = []
 }) {
+  // Sin token explícito se usa el del remitente (senders) o WA_ACCESS_TOKEN
+  const auth = token || getSenderCredentials(phone_id).token;
   const url = `${WA_BASE}/${phone_id}/messages`;
   const payload = {
     messaging_product: 'whatsapp',
@@ -37,7 +27,77 @@ export async function sendTemplate({
     }
   };
   const res = await axios.post(url, payload, {
-    headers: { Authorization: `Bearer ${token}` }
+    headers: { Authorization: `Bearer ${auth}` },
+    timeout: WA_TIMEOUT_MS
   });
   return res.data; // { messages: [{ id: 'wamid...' }] }
 }
+
+// Mensaje de sesión (texto, multimedia, ubicación, reacción, interactivo): solo entra si el
+// cliente escribió en las últimas 24 h. `content` es el objeto que va bajo la clave `type`.
+export async function sendMessage({ phone_id, token, to, type, content, context = null }) {
+  const auth = token || getSenderCredentials(phone_id).token;
+  const payload = { messaging_product: 'whatsapp', recipient_type: 'individual', to, type, [type]: content };
+  if (context) payload.context = { message_id: context };
+  const res = await axios.post(`${WA_BASE}/${phone_id}/messages`, payload, {
+    headers: { Authorization: `Bearer ${auth}` },
+    timeout: WA_TIMEOUT_MS
+  });
+  return res.data;
+}
+
+export async function sendText({ phone_id, token, to, text, preview_url = false }) {
+  return sendMessage({ phone_id, token, to, type: 'text', content: { body: text, preview_url } });
+}
+
+// Marca como leído un mensaje entrante (doble check azul para el cliente)
+export async function markRead({ phone_id, token, message_id }) {
+  const auth = token || getSenderCredentials(phone_id).token;
+  const res = await axios.post(`${WA_BASE}/${phone_id}/messages`, {
+    messaging_product: 'whatsapp',
+    status: 'read',
+    message_id
+  }, {
+    headers: { Authorization: `Bearer ${auth}` },
+    timeout: WA_TIMEOUT_MS
+  });
+  return res.data;
+}
+
+// Códigos de error de Graph/Cloud API agrupados por política de reintento
+const AUTH_CODES = new Set([0, 10, 190, 200]);
+const RATE_LIMIT_CODES = new Set([4, 80007, 130429, 131048, 131056]);
+const PERMANENT_CODES = new Set([
+  100, 131008, 131009, 131021, 131026, 131047, 131051, 131052, 131053,
+  132000, 132001, 132005, 132007, 132012, 132015, 132016, 132068, 132069
+]);
+const TRANSIENT_CODES = new Set([1, 2, 131000, 131016, 133004]);
+// Problemas del número emisor (calidad, bloqueo, pago, registro): en un pool se pasa a otro número
+const SENDER_HEALTH_CODES = new Set([368, 131031, 131042, 131048, 133010]);
+
+export function classifySendError(err) {
+  // Errores locales que ya traen categoría (p. ej. remitente sin token)
+  if (!err?.response && err?.category) {
+    return { category: err.category, code: null, reason: err.message };
+  }
+  const graphError = err?.response?.data?.error || {};
+  const httpStatus = err?.response?.status || null;
+  const code = graphError.code !== undefined && graphError.code !== null ? Number(graphError.code) : null;
+  const detail = graphError.error_data?.details || graphError.message || err?.message || 'error desconocido';
+
+  let category = 'unknown';
+  if (code !== null && AUTH_CODES.has(code)) category = 'auth';
+  else if ((code !== null && RATE_LIMIT_CODES.has(code)) || httpStatus === 429) category = 'rate_limited';
+  else if (code !== null && PERMANENT_CODES.has(code)) category = 'permanent';
+  else if ((code !== null && TRANSIENT_CODES.has(code)) || !err?.response || httpStatus >= 500) category = 'transient';
+
+  return {
+    category,
+    code,
+    reason: code !== null ? `${code}: ${detail}` : String(detail)
+  };
+}
+
+export function isSenderHealthError(failure) {
+  return failure?.category === 'auth' || (failure?.code !== null && SENDER_HEALTH_CODES.has(failure?.code));
+}
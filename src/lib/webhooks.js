@@ -0,0 +1,243 @@
+import db from './db.js';
+import { normalizePhone } from './phone.js';
+import { detectOptOut, addSuppression } from './suppressions.js';
+import { enqueueEntityUpdate } from './outbox.js';
+import { extractBitrixMeta, notifyTarget, phoneOwnerOf } from './notifications.js';
+import { recordRobotReply } from './robot.js';
+import { forwardInbound, mirrorWaStatus } from './openlines.js';
+import { mirrorSessionStatus } from './session.js';
+import { describeInbound, captureInboundMedia } from './media.js';
+import { runReplyActions } from './actions.js';
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const LEASE_MS = 5 * 60 * 1000;
+const OPTOUT_FIELD = process.env.BITRIX_OPTOUT_FIELD || '';
+const OPTOUT_VALUE = process.env.BITRIX_OPTOUT_VALUE || 'Y';
+
+function nowIso() { return new Date().toISOString(); }
+
+// false si Meta ya nos había entregado este mismo evento (reintento del webhook)
+function recordEvent({ waMessageId = null, type, statusTs = null, phone = null, phoneId = null, payload }) {
+  const info = db.prepare('INSERT OR IGNORE INTO events (wa_message_id, type, status_ts, phone, phone_id, payload_json, created_at) VALUES (?,?,?,?,?,?,?)')
+    .run(waMessageId, type, statusTs === null || statusTs === undefined ? null : String(statusTs), phone, phoneId, JSON.stringify(payload || {}), nowIso());
+  return info.changes > 0;
+}
+
+// Un estado solo avanza: sent < delivered < read. failed no pisa un mensaje ya entregado o leído.
+const STATUS_FROM = {
+  sent: ['queued', 'sending'],
+  delivered: ['queued', 'sending', 'sent'],
+  read: ['queued', 'sending', 'sent', 'delivered'],
+  failed: ['queued', 'sending', 'sent']
+};
+
+function metaTimestamp(raw) {
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : nowIso();
+}
+
+// Devuelve true si el target cambió de estado (solo entonces se avisa a Bitrix)
+function applyTargetStatus(target, newStatus, { at, error = null }) {
+  const now = nowIso();
+  // Un read implica entrega; si llegan desordenados se queda la hora más temprana
+  if (newStatus === 'delivered' || newStatus === 'read') {
+    db.prepare('UPDATE campaign_targets SET delivered_at=? WHERE id=? AND (delivered_at IS NULL OR delivered_at>?)').run(at, target.id, at);
+  }
+  if (newStatus === 'read') {
+    db.prepare('UPDATE campaign_targets SET read_at=? WHERE id=? AND (read_at IS NULL OR read_at>?)').run(at, target.id, at);
+  }
+  const from = STATUS_FROM[newStatus];
+  const placeholders = from.map(() => '?').join(',');
+  const info = newStatus === 'failed'
+    ? db.prepare(`UPDATE campaign_targets SET status='failed', last_error=?, failed_at=?, updated_at=? WHERE id=? AND status IN (${placeholders})`)
+      .run(String(error || '').slice(0, 300), at, now, target.id, ...from)
+    : db.prepare(`UPDATE campaign_targets SET status=?, updated_at=? WHERE id=? AND status IN (${placeholders})`)
+      .run(newStatus, now, target.id, ...from);
+  return info.changes > 0;
+}
+
+function writeOptOutToBitrix(target) {
+  const meta = extractBitrixMeta(target);
+  if (!OPTOUT_FIELD || !meta?.entity || !meta?.id) return;
+  enqueueEntityUpdate({ ...phoneOwnerOf(meta), fields: { [OPTOUT_FIELD]: OPTOUT_VALUE } });
+}
+
+function buildStatusComment(target, status, errorMsg) {
+  const ts = status?.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : nowIso();
+  let text = `[WhatsApp] Estado ${String(status?.status || 'desconocido').toUpperCase()} para ${target?.phone || 'destinatario'} (${ts}).`;
+  if (errorMsg) {
+    text += ` Motivo: ${errorMsg}`;
+  }
+  return text;
+}
+
+function buildReplyComment(message, target) {
+  const from = message?.from ? `+${message.from}` : 'Cliente';
+  const trimmed = String(describeInbound(message) || '[sin texto]').trim().slice(0, 400);
+  return `[WhatsApp] ${from} respondió a la campaña ${target?.campaign_id || ''}: ${trimmed}`;
+}
+
+function handleStatus(status) {
+  const messageId = status?.id;
+  if (!messageId) return;
+  const fresh = recordEvent({ waMessageId: messageId, type: status.status || 'status', statusTs: status.timestamp, payload: status });
+  if (!fresh) return;
+  if (mirrorWaStatus(status) || mirrorSessionStatus(status)) return;
+  const target = db.prepare('SELECT * FROM campaign_targets WHERE wa_message_id=?').get(messageId);
+  if (!target) return;
+
+  const newStatus = STATUS_FROM[status.status] ? status.status : null;
+  if (!newStatus) {
+    db.prepare('UPDATE campaign_targets SET updated_at=? WHERE id=?').run(nowIso(), target.id);
+    return;
+  }
+  const errText = newStatus === 'failed' && Array.isArray(status.errors)
+    ? status.errors.map((e) => e.title || e.message).filter(Boolean).join('; ')
+    : (newStatus === 'failed' ? status.status : null);
+  const advanced = applyTargetStatus(target, newStatus, { at: metaTimestamp(status.timestamp), error: errText });
+  if (advanced) {
+    notifyTarget(target, newStatus, {
+      comment: buildStatusComment(target, status, errText || undefined),
+      value: errText ? `${newStatus.toUpperCase()}: ${errText}`.slice(0, 255) : newStatus.toUpperCase()
+    });
+  }
+}
+
+function handleMessage(message, value = {}) {
+  const messageId = message?.id;
+  // phone y phone_id abren la ventana de 24 h para mensajes de sesión (POST /api/messages)
+  const fresh = recordEvent({
+    waMessageId: messageId,
+    type: 'reply',
+    statusTs: message?.timestamp,
+    phone: message?.from ? normalizePhone(message.from) : null,
+    phoneId: value.metadata?.phone_number_id || null,
+    payload: message
+  });
+  if (!fresh) return;
+
+  const contextId = message?.context?.id;
+  let target = null;
+  if (contextId) {
+    target = db.prepare('SELECT * FROM campaign_targets WHERE wa_message_id=?').get(contextId);
+  }
+  if (!target && message?.from) {
+    const normalized = normalizePhone(message.from);
+    target = db.prepare('SELECT * FROM campaign_targets WHERE phone=? ORDER BY updated_at DESC LIMIT 1').get(normalized);
+  }
+
+  const optOut = detectOptOut(message);
+  if (optOut && message?.from) {
+    addSuppression({
+      phone: normalizePhone(message.from),
+      reason: optOut.value,
+      source: optOut.source,
+      campaign_id: target?.campaign_id ?? null
+    });
+  }
+
+  const contact = (Array.isArray(value.contacts) ? value.contacts : []).find((c) => c?.wa_id === message?.from);
+  const phoneId = value.metadata?.phone_number_id || null;
+  const profileName = contact?.profile?.name || null;
+  // Los archivos se descargan en segundo plano; Canales Abiertos y el comentario de respuesta los reciben entonces
+  const replyComment = target ? buildReplyComment(message, target) : null;
+  const mediaId = captureInboundMedia({ message, phone_id: phoneId, profileName, target, replyComment });
+  forwardInbound({ message, phone_id: phoneId, profileName, text: describeInbound(message) || '[mensaje sin texto]', deferred: Boolean(mediaId) });
+
+  if (target) {
+    const now = nowIso();
+    db.prepare('UPDATE campaign_targets SET replied_at=COALESCE(replied_at, ?), updated_at=? WHERE id=?')
+      .run(now, now, target.id);
+    notifyTarget(target, 'reply', { comment: replyComment, value: 'REPLIED', deferComment: Boolean(mediaId) });
+    recordRobotReply(target, describeInbound(message));
+    const actions = runReplyActions(target, message);
+    if (optOut || actions.suppressed) writeOptOutToBitrix(target);
+  }
+}
+
+export function processWaPayload(body) {
+  const entries = Array.isArray(body?.entry) ? body.entry : [];
+  for (const entry of entries) {
+    const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+    for (const change of changes) {
+      const value = change?.value || {};
+      for (const status of Array.isArray(value.statuses) ? value.statuses : []) handleStatus(status);
+      for (const message of Array.isArray(value.messages) ? value.messages : []) handleMessage(message, value);
+    }
+  }
+}
+
+// Se guarda tal cual llega y se responde a Meta sin esperar a procesarlo
+export function storeWebhook(source, payload) {
+  const info = db.prepare('INSERT INTO webhook_inbox (source, payload_json, received_at) VALUES (?, ?, ?)')
+    .run(source, JSON.stringify(payload || {}), nowIso());
+  return info.lastInsertRowid;
+}
+
+const PROCESSORS = {
+  wa: processWaPayload
+};
+
+function claim(limit) {
+  const now = Date.now();
+  const tx = db.transaction(() => {
+    const rows = db.prepare(`SELECT * FROM webhook_inbox
+      WHERE status='received' OR (status='processing' AND lease_expires_at<=?)
+      ORDER BY id ASC LIMIT ?`).all(now, limit);
+    const mark = db.prepare(`UPDATE webhook_inbox SET status='processing', lease_expires_at=? WHERE id=?`);
+    for (const row of rows) mark.run(now + LEASE_MS, row.id);
+    return rows;
+  });
+  return tx.immediate();
+}
+
+/**
+ * Procesa los webhooks recibidos en orden de llegada. Cada payload se aplica en una sola
+ * transacción (eventos, destinatarios y escrituras a Bitrix en el outbox): o entra todo o nada.
+ */
+export function processWebhookInbox({ limit = 50 } = {}) {
+  const rows = claim(limit);
+  let done = 0;
+  let failed = 0;
+  for (const row of rows) {
+    try {
+      const processor = PROCESSORS[row.source];
+      if (!processor) throw new Error(`Origen de webhook desconocido: ${row.source}`);
+      db.transaction(() => processor(JSON.parse(row.payload_json)))();
+      db.prepare(`UPDATE webhook_inbox SET status='done', attempts=attempts+1, last_error=NULL, lease_expires_at=NULL, processed_at=? WHERE id=?`)
+        .run(nowIso(), row.id);
+      done += 1;
+    } catch (err) {
+      const attempts = row.attempts + 1;
+      const status = attempts >= MAX_ATTEMPTS ? 'dead' : 'received';
+      db.prepare(`UPDATE webhook_inbox SET status=?, attempts=?, last_error=?, lease_expires_at=NULL WHERE id=?`)
+        .run(status, attempts, String(err?.message || err).slice(0, 500), row.id);
+      console.error(`[webhook] error procesando ${row.id} (intento ${attempts}):`, err?.message || err);
+      failed += 1;
+    }
+  }
+  return { done, failed };
+}
+
+export function inboxStats() {
+  const out = {};
+  for (const row of db.prepare('SELECT status, COUNT(1) c FROM webhook_inbox GROUP BY status').all()) out[row.status] = row.c;
+  return out;
+}
+
+export function listInbox({ status = 'dead', limit = 50, offset = 0 } = {}) {
+  return db.prepare('SELECT * FROM webhook_inbox WHERE status=? ORDER BY id DESC LIMIT ? OFFSET ?')
+    .all(status, limit, offset)
+    .map(({ payload_json, ...row }) => ({ ...row, payload: JSON.parse(payload_json) }));
+}
+
+export function retryInbox(id = null) {
+  const where = id === null ? "status='dead'" : "status='dead' AND id=?";
+  const params = id === null ? [] : [id];
+  return db.prepare(`UPDATE webhook_inbox SET status='received', attempts=0 WHERE ${where}`).run(...params).changes;
+}
+
+export function purgeInbox(olderThanMs) {
+  return db.prepare(`DELETE FROM webhook_inbox WHERE status='done' AND processed_at<?`)
+    .run(new Date(Date.now() - olderThanMs).toISOString()).changes;
+}
@@ -0,0 +1,166 @@
+const DAY_ALIASES = {
+  mon: 1, lun: 1,
+  tue: 2, mar: 2,
+  wed: 3, mie: 3, 'mié': 3,
+  thu: 4, jue: 4,
+  fri: 5, vie: 5,
+  sat: 6, sab: 6, 'sáb': 6,
+  sun: 7, dom: 7
+};
+
+const formatters = new Map();
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatterFor(timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    formatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+function localParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() || 7;
+  return { ...parts, weekday, minutes: parts.hour * 60 + parts.minute };
+}
+
+function tzOffsetMs(ts, timeZone) {
+  const p = localParts(new Date(ts), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+// Hora de pared en `timeZone` -> epoch ms (corrige el desfase si cae en un cambio de horario)
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = tzOffsetMs(guess, timeZone);
+  const ts = guess - first;
+  const second = tzOffsetMs(ts, timeZone);
+  return second === first ? ts : guess - second;
+}
+
+function toMinutes(hhmm) {
+  const match = String(hhmm || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const h = Number(match[1]);
+  const m = Number(match[2]);
+  if (h > 23 || m > 59) return null;
+  return h * 60 + m;
+}
+
+function parseRange(windowStr) {
+  if (!windowStr) return null;
+  const [start, end] = String(windowStr).split('-');
+  const s = toMinutes(start);
+  const e = toMinutes(end);
+  if (s === null || e === null) return null;
+  return { start: s, end: e };
+}
+
+function parseWeekdays(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const items = Array.isArray(raw) ? raw : String(raw).split(/[\s,;]+/);
+  const days = new Set();
+  for (const item of items) {
+    const token = String(item).trim().toLowerCase();
+    if (!token) continue;
+    const range = token.match(/^([1-7])-([1-7])$/);
+    if (range) {
+      for (let d = Number(range[1]); d <= Number(range[2]); d += 1) days.add(d);
+      continue;
+    }
+    const day = /^[1-7]$/.test(token) ? Number(token) : DAY_ALIASES[token.slice(0, 3)] || DAY_ALIASES[token];
+    if (!day) throw httpError(400, `Día de la semana inválido: ${item}`);
+    days.add(day);
+  }
+  return days.size ? Array.from(days).sort((a, b) => a - b) : null;
+}
+
+export function defaultTimeZone() {
+  return process.env.DELIVERY_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Valida y normaliza la ventana de entrega de una campaña.
+ * window: "HH:MM-HH:MM" (puede cruzar medianoche), timezone: IANA, weekdays: 1=lunes … 7=domingo.
+ */
+export function parseDeliveryWindow({ window, timezone, weekdays } = {}) {
+  const windowStr = window ? String(window).trim() : '';
+  if (windowStr && !parseRange(windowStr)) {
+    throw httpError(400, `Ventana de entrega inválida: ${windowStr} (usa HH:MM-HH:MM)`);
+  }
+  const tz = timezone ? String(timezone).trim() : '';
+  if (tz) {
+    try {
+      formatterFor(tz);
+    } catch {
+      throw httpError(400, `Zona horaria inválida: ${tz}`);
+    }
+  }
+  const days = parseWeekdays(weekdays);
+  return {
+    window: windowStr || null,
+    timezone: tz || null,
+    weekdays: days ? days.join(',') : null
+  };
+}
+
+function resolveConfig({ window, timezone, weekdays } = {}) {
+  const days = parseWeekdays(weekdays);
+  return {
+    range: parseRange(window),
+    timeZone: timezone || defaultTimeZone(),
+    days: days ? new Set(days) : null
+  };
+}
+
+function dayAllowed(days, weekday) {
+  return !days || days.has(weekday);
+}
+
+export function isWithinDeliveryWindow(now, config = {}) {
+  const { range, timeZone, days } = resolveConfig(config);
+  const { weekday, minutes } = localParts(now, timeZone);
+  if (!range) return dayAllowed(days, weekday);
+  const { start, end } = range;
+  if (end >= start) return dayAllowed(days, weekday) && minutes >= start && minutes <= end;
+  // cruza medianoche: la franja de madrugada pertenece al día en que abrió la ventana
+  if (minutes >= start) return dayAllowed(days, weekday);
+  if (minutes <= end) return dayAllowed(days, weekday === 1 ? 7 : weekday - 1);
+  return false;
+}
+
+// Próximo instante (Date) en que abre la ventana; `now` si ya está abierta
+export function nextWindowOpening(now, config = {}) {
+  if (isWithinDeliveryWindow(now, config)) return now;
+  const { range, timeZone, days } = resolveConfig(config);
+  const start = range ? range.start : 0;
+  const today = localParts(now, timeZone);
+  for (let i = 0; i <= 7; i += 1) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    const weekday = date.getUTCDay() || 7;
+    if (!dayAllowed(days, weekday)) continue;
+    const ts = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), start, timeZone);
+    if (ts > now.getTime()) return new Date(ts);
+  }
+  return new Date(now.getTime() + 60 * 60 * 1000);
+}
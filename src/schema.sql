@@ -7,11 +7,24 @@ CREATE TABLE IF NOT EXISTS campaigns (
   language TEXT NOT NULL DEFAULT 'es',
   sender_phone_id TEXT NOT NULL,
   status TEXT NOT NULL DEFAULT 'draft', -- draft|scheduled|running|paused|done|error|canceled
-  scheduled_at TEXT,
+  scheduled_at TEXT,                      -- ISO 8601 en UTC; lo dispara el worker
   created_at TEXT NOT NULL,
   created_by TEXT,
   total_targets INTEGER DEFAULT 0,
-  meta_json TEXT
+  meta_json TEXT,
+  delivery_window TEXT,                   -- HH:MM-HH:MM (NULL = DELIVERY_WINDOW)
+  delivery_tz TEXT,                       -- IANA, p. ej. America/Lima (NULL = DELIVERY_TZ)
+  delivery_days TEXT,                     -- 1=lunes … 7=domingo, p. ej. 1,2,3,4,5 (NULL = DELIVERY_DAYS)
+  started_at TEXT,
+  finished_at TEXT,
+  components_json TEXT,                   -- mapeo header/body/buttons -> variables (ver src/lib/components.js)
+  template_category TEXT,                 -- MARKETING|UTILITY|AUTHENTICATION (límites de frecuencia)
+  sender_pool_json TEXT,                  -- [{ phone_id, weight }]; NULL = solo sender_phone_id
+  sender_strategy TEXT,                   -- round_robin|sticky
+  bitrix_notify TEXT,                     -- eventos que se avisan en Bitrix24 (NULL = BITRIX_NOTIFY)
+  bitrix_notify_mode TEXT,                -- comment|single|field
+  bitrix_status_field TEXT,               -- campo de la entidad con el último estado (modo field)
+  summary_posted_at TEXT                  -- resumen final publicado en Bitrix24 (ver src/lib/summary.js)
 );
 
 CREATE TABLE IF NOT EXISTS campaign_targets (
@@ -19,9 +32,17 @@ CREATE TABLE IF NOT EXISTS campaign_targets (
   campaign_id INTEGER NOT NULL,
   phone TEXT NOT NULL,
   vars_json TEXT NOT NULL DEFAULT '{}',
-  status TEXT NOT NULL DEFAULT 'queued',   -- queued|sending|sent|delivered|read|failed|canceled
+  status TEXT NOT NULL DEFAULT 'queued',   -- queued|sending|sent|delivered|read|failed|canceled|suppressed|capped
   last_error TEXT,
+  error_category TEXT,                     -- permanent|rate_limited|transient|auth|unknown
   wa_message_id TEXT,
+  sender_phone_id TEXT,                    -- remitente asignado al encolar (pool de la campaña)
+  sent_at TEXT,                            -- aceptado por Meta; cuenta para FREQUENCY_CAPS
+  delivered_at TEXT,                       -- timestamps del webhook de estados (hora de Meta)
+  read_at TEXT,
+  failed_at TEXT,
+  replied_at TEXT,
+  bitrix_comment_id TEXT,                  -- comentario de la línea de tiempo que se edita (modo single)
   created_at TEXT NOT NULL,
   updated_at TEXT NOT NULL,
   UNIQUE(campaign_id, phone)
@@ -39,7 +60,8 @@ CREATE TABLE IF NOT EXISTS messages (
 CREATE TABLE IF NOT EXISTS events (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   wa_message_id TEXT,
-  type TEXT NOT NULL,                      -- sent|delivered|read|reply
+  type TEXT NOT NULL,                      -- sent|delivered|read|failed|reply
+  status_ts TEXT,                          -- timestamp de Meta (epoch s); con wa_message_id y type deduplica reintentos
   payload_json TEXT NOT NULL,
   created_at TEXT NOT NULL
 );
@@ -49,9 +71,184 @@ CREATE TABLE IF NOT EXISTS senders (
   phone_id TEXT NOT NULL UNIQUE,
   display TEXT,
   qps INTEGER DEFAULT 8,
+  waba_id TEXT,                            -- WABA del número (NULL = WA_WABA_ID)
+  access_token_enc TEXT,                   -- token propio cifrado con SENDER_TOKEN_KEY (NULL = WA_ACCESS_TOKEN)
+  display_phone_number TEXT,               -- metadatos de Meta (GET /{phone_id}), ver src/lib/phoneNumbers.js
+  verified_name TEXT,
+  quality_rating TEXT,                     -- GREEN|YELLOW|RED|UNKNOWN
+  messaging_limit_tier TEXT,               -- TIER_250|TIER_1K|TIER_10K|TIER_100K|TIER_UNLIMITED
+  meta_status TEXT,                        -- CONNECTED|FLAGGED|RESTRICTED|…
+  meta_synced_at TEXT,
+  meta_error TEXT,
+  status TEXT NOT NULL DEFAULT 'active',   -- active|failing (errores de auth o calidad)
+  status_reason TEXT,
+  status_changed_at TEXT,
   created_at TEXT NOT NULL
 );
 
+-- Webhooks tal cual llegan; se procesan en segundo plano (src/lib/webhooks.js)
+CREATE TABLE IF NOT EXISTS webhook_inbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source TEXT NOT NULL,                    -- wa
+  payload_json TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received', -- received|processing|done|dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  lease_expires_at INTEGER,                -- epoch ms
+  received_at TEXT NOT NULL,
+  processed_at TEXT
+);
+
+-- Escrituras pendientes en Bitrix24 con reintentos (src/lib/outbox.js)
+CREATE TABLE IF NOT EXISTS bitrix_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT NOT NULL,                      -- timeline_comment|timeline_upsert|entity_update|call
+  entity TEXT,
+  entity_id TEXT,
+  payload_json TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',   -- queued|processing|done|dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  available_at INTEGER NOT NULL,           -- epoch ms
+  last_error TEXT,
+  lease_expires_at INTEGER,
+  created_at TEXT NOT NULL,
+  done_at TEXT
+);
+
+-- Ejecuciones del robot de automatización de Bitrix24 (src/lib/robot.js)
+CREATE TABLE IF NOT EXISTS robot_invocations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_token TEXT NOT NULL UNIQUE,        -- se devuelve en bizproc.event.send
+  document_id TEXT NOT NULL,               -- LEAD_12, DEAL_45, DYNAMIC_128_7…
+  entity TEXT,
+  entity_id TEXT,
+  campaign_id INTEGER,
+  target_id INTEGER,
+  wait_reply INTEGER NOT NULL DEFAULT 0,
+  reply_timeout_ms INTEGER,
+  reply_text TEXT,
+  properties_json TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending|reported
+  result TEXT,                             -- delivered|read|replied|no_reply|undelivered|failed|suppressed|capped|canceled|error
+  error TEXT,
+  created_at TEXT NOT NULL,
+  reported_at TEXT,
+  checked_at TEXT,                         -- última revisión sin resultado (ver processRobotInvocations)
+  due_at INTEGER                           -- ms epoch en que vence la espera
+);
+
+-- Conversaciones de Canales Abiertos (src/lib/openlines.js)
+CREATE TABLE IF NOT EXISTS openline_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  direction TEXT NOT NULL,                 -- in (cliente → Bitrix24) | out (operador → WhatsApp)
+  chat_id TEXT NOT NULL,                   -- chat externo del conector: phone_id:teléfono
+  phone TEXT NOT NULL,
+  phone_id TEXT NOT NULL,                  -- número de WhatsApp del negocio
+  line TEXT,
+  wa_message_id TEXT,
+  im_chat_id TEXT,
+  im_message_id TEXT UNIQUE,               -- mensaje del operador (Bitrix24 puede repetir el evento)
+  text TEXT,
+  status TEXT NOT NULL,                    -- in: received|read · out: queued|sent|delivered|read|failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  available_at INTEGER,                    -- epoch ms (reintentos de envío)
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- Reglas por campaña: botón pulsado o palabra clave en la respuesta → acción en Bitrix24
+CREATE TABLE IF NOT EXISTS campaign_actions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  campaign_id INTEGER NOT NULL,
+  match_type TEXT NOT NULL,                -- payload|keyword
+  match_value TEXT NOT NULL,               -- normalizado (mayúsculas, sin tildes)
+  action TEXT NOT NULL,                    -- stage|field|task|suppress|template
+  params_json TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT NOT NULL
+);
+
+-- Cada regla se ejecuta como mucho una vez por destinatario
+CREATE TABLE IF NOT EXISTS campaign_action_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action_id INTEGER NOT NULL,
+  campaign_id INTEGER NOT NULL,
+  target_id INTEGER NOT NULL,
+  wa_message_id TEXT,
+  status TEXT NOT NULL,                    -- done|skipped|error
+  detail TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE(action_id, target_id)
+);
+
+-- Archivos recibidos por WhatsApp (imagen, vídeo, audio, documento, sticker), descargados en data/media
+CREATE TABLE IF NOT EXISTS media_files (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wa_message_id TEXT UNIQUE,
+  media_id TEXT NOT NULL,                  -- id del medio en la Graph API (válido 30 días)
+  phone TEXT NOT NULL,
+  phone_id TEXT,                           -- número de WhatsApp del negocio
+  type TEXT NOT NULL,
+  voice INTEGER NOT NULL DEFAULT 0,        -- audio grabado como nota de voz
+  mime_type TEXT,
+  sha256 TEXT,
+  caption TEXT,
+  filename TEXT,
+  size INTEGER,
+  path TEXT,                               -- relativo a data/media
+  access_token TEXT NOT NULL,              -- URL pública /media/:id/:token (Canales Abiertos descarga desde ahí)
+  target_id INTEGER,
+  reply_comment TEXT,                      -- comentario de respuesta que se publica con el archivo (modo comment)
+  profile_name TEXT,
+  message_ts TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending|stored|too_large|failed|expired
+  attempts INTEGER NOT NULL DEFAULT 0,
+  available_at INTEGER NOT NULL,           -- epoch ms (reintentos de descarga)
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- Mensajes de sesión (fuera de campaña) enviados con POST /api/messages
+CREATE TABLE IF NOT EXISTS session_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  phone TEXT NOT NULL,
+  phone_id TEXT NOT NULL,                  -- número de WhatsApp del negocio
+  type TEXT NOT NULL,                      -- text|image|…|location|reaction|interactive|template
+  via TEXT NOT NULL,                       -- session | template (ventana cerrada con plantilla de respaldo)
+  payload_json TEXT NOT NULL,
+  wa_message_id TEXT,
+  status TEXT NOT NULL,                    -- sent|delivered|read|failed
+  error TEXT,
+  template_category TEXT,                  -- plantilla de respaldo: cuenta en los límites de frecuencia
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- Lista de bajas: teléfonos que no reciben más campañas
+CREATE TABLE IF NOT EXISTS suppressions (
+  phone TEXT PRIMARY KEY,
+  reason TEXT,                             -- palabra clave, payload o motivo manual
+  source TEXT NOT NULL DEFAULT 'api',      -- api|keyword|button
+  campaign_id INTEGER,
+  created_at TEXT NOT NULL
+);
+
+-- Catálogo de plantillas sincronizado desde la WABA (GET /{waba_id}/message_templates)
+CREATE TABLE IF NOT EXISTS templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  waba_id TEXT NOT NULL,
+  meta_id TEXT,
+  name TEXT NOT NULL,
+  language TEXT NOT NULL,
+  status TEXT NOT NULL,                    -- APPROVED|PENDING|REJECTED|PAUSED|DISABLED
+  category TEXT,                           -- MARKETING|UTILITY|AUTHENTICATION
+  parameter_format TEXT NOT NULL DEFAULT 'POSITIONAL', -- POSITIONAL|NAMED
+  components_json TEXT NOT NULL DEFAULT '[]',
+  synced_at TEXT NOT NULL,
+  UNIQUE(waba_id, name, language)
+);
+
 -- Cola persistente
 CREATE TABLE IF NOT EXISTS queue (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -60,7 +257,26 @@ CREATE TABLE IF NOT EXISTS queue (
   phone_id TEXT NOT NULL,
   available_at INTEGER NOT NULL,       -- epoch ms
   attempts INTEGER NOT NULL DEFAULT 0,
-  status TEXT NOT NULL DEFAULT 'queued' -- queued|processing|done|failed
+  status TEXT NOT NULL DEFAULT 'queued', -- queued|processing|done|dead
+  last_error TEXT,
+  error_category TEXT,
+  lease_owner TEXT,                    -- worker que tiene el job en processing
+  lease_expires_at INTEGER             -- epoch ms; vencido = se puede reclamar
 );
 
 CREATE INDEX IF NOT EXISTS idx_queue_sched ON queue(status, available_at);
+CREATE INDEX IF NOT EXISTS idx_queue_campaign ON queue(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_targets_campaign ON campaign_targets(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_campaigns_sched ON campaigns(status, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_inbox_status ON webhook_inbox(status, id);
+CREATE INDEX IF NOT EXISTS idx_outbox_sched ON bitrix_outbox(status, available_at);
+CREATE INDEX IF NOT EXISTS idx_robot_pending ON robot_invocations(status, target_id);
+CREATE INDEX IF NOT EXISTS idx_openline_wamid ON openline_messages(wa_message_id);
+CREATE INDEX IF NOT EXISTS idx_openline_status ON openline_messages(direction, status, chat_id);
+CREATE INDEX IF NOT EXISTS idx_actions_campaign ON campaign_actions(campaign_id, id);
+CREATE INDEX IF NOT EXISTS idx_action_runs_campaign ON campaign_action_runs(campaign_id, id);
+CREATE INDEX IF NOT EXISTS idx_media_status ON media_files(status, available_at);
+CREATE INDEX IF NOT EXISTS idx_session_wamid ON session_messages(wa_message_id);
+CREATE INDEX IF NOT EXISTS idx_session_phone ON session_messages(phone, id);
+CREATE INDEX IF NOT EXISTS idx_session_template_phone ON session_messages(via, phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_session_template_sender ON session_messages(via, phone_id, created_at);
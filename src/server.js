@@ -7,9 +7,64 @@ import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import db from './lib/db.js';
-import { enqueueTarget } from './lib/queue.js';
-import { fetchTargetsFromBitrix, bitrixHealth, pushTimelineComment } from './lib/bitrix.js';
+import {
+  fetchTargetsFromBitrix,
+  parseEntityType,
+  parseBitrixFilter,
+  verifyBitrixAuth,
+  getPortalMemberId,
+  bitrixHealth
+} from './lib/bitrix.js';
 import { normalizePhone, isLikelyValidPhone } from './lib/phone.js';
+import {
+  ensureSender, parseSenderId, parseSenderDisplay, listSenders, getSender, getSenderWabaId, getSenderThrottle,
+  uniqueRecipientsLast24h, deleteSender
+} from './lib/senders.js';
+import { importSendersFromWaba, refreshSender, refreshAllSenders } from './lib/phoneNumbers.js';
+import {
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  scheduleCampaign,
+  unscheduleCampaign,
+  parseScheduledAt,
+  getCampaign,
+  getCampaignSummary,
+  insertCampaign
+} from './lib/campaigns.js';
+import { parseDeliveryWindow } from './lib/window.js';
+import { parseComponentMapping } from './lib/components.js';
+import { syncAllTemplates, listSyncTargets, listTemplates, validateCampaignTemplate, getWabaId } from './lib/templates.js';
+import { parseSenderPool, parseSenderStrategy } from './lib/pools.js';
+import { normalizeCategory, getFrequencyCaps, checkFrequencyCap, frequencyUsage } from './lib/frequency.js';
+import { parseNotifyPolicy } from './lib/notifications.js';
+import { isSuppressed, addSuppression, removeSuppression, listSuppressions } from './lib/suppressions.js';
+import { storeWebhook, processWebhookInbox, inboxStats, listInbox, retryInbox, purgeInbox } from './lib/webhooks.js';
+import { processBitrixOutbox, outboxStats, listOutbox, retryOutbox, purgeOutbox } from './lib/outbox.js';
+import {
+  ROBOT_CODE,
+  installRobot,
+  uninstallRobot,
+  parseDocumentId,
+  parseRobotTemplate,
+  parseRobotVarFields,
+  recordInvocation,
+  linkInvocation,
+  failInvocation,
+  processRobotInvocations,
+  listInvocations
+} from './lib/robot.js';
+import {
+  installConnector,
+  activateConnector,
+  receiveOperatorMessages,
+  processOpenlineOutbound,
+  listOpenlineMessages
+} from './lib/openlines.js';
+import { processInboundMedia, purgeMedia, getMediaFile, listMedia } from './lib/media.js';
+import { parseActionRules, addCampaignActions, listCampaignActions, deleteCampaignAction, listActionRuns } from './lib/actions.js';
+import { getSessionWindow, parseFallbackTemplate, sendSessionMessage, listSessionMessages } from './lib/session.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,6 +83,13 @@ app.use(morgan('dev'));
 const PORT = process.env.PORT || 3001;
 const API_TOKEN = process.env.API_TOKEN || '';
 const DEFAULT_LANG = process.env.WA_TEMPLATE_LANG || 'es';
+const BACKGROUND_LOOP_MS = Number(process.env.BACKGROUND_LOOP_MS || 1000);
+// Webhooks y escrituras a Bitrix ya procesados se conservan este tiempo para auditoría
+const RETENTION_MS = Number(process.env.INBOX_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+const MEDIA_RETENTION_MS = Number(process.env.MEDIA_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+const TEMPLATE_SYNC_MS = Number(process.env.TEMPLATE_SYNC_MS || 15 * 60 * 1000);
+const SENDER_REFRESH_MS = Number(process.env.SENDER_REFRESH_MS || 30 * 60 * 1000);
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
 const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || process.env.BITRIX_DEFAULT_COUNTRY_CODE || '')
   .replace(/\D/g, '');
 
@@ -46,6 +108,12 @@ app.use('/', express.static(path.join(__dirname, 'ui')));
 
 // Helpers
 function nowIso() { return new Date().toISOString(); }
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
 function parseJsonValue(raw, { fallback = null, allowPlainString = true } = {}) {
   if (raw === undefined || raw === null) return fallback;
   if (typeof raw !== 'string') return raw;
@@ -90,6 +158,14 @@ function parseIds(raw) {
   return arrayFrom(raw).map(String).map((s) => s.trim()).filter(Boolean);
 }
 
+// Límite de registros de un filter para esta campaña; vacío = el de BITRIX_FILTER_MAX_TARGETS
+function parseMaxTargets(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, 'max_targets debe ser un entero positivo');
+  return n;
+}
+
 function parseVarFields(raw) {
   const parsed = parseJsonValue(raw, { fallback: {}, allowPlainString: false });
   const source = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : {};
@@ -103,22 +179,6 @@ function parseVarFields(raw) {
   return out;
 }
 
-function parseSenderId(raw) {
-  if (raw === undefined || raw === null) return null;
-  const str = String(raw).trim();
-  return str || null;
-}
-
-function parseSenderDisplay(raw) {
-  if (raw === undefined || raw === null) return null;
-  if (typeof raw === 'string') {
-    const trimmed = raw.trim();
-    return trimmed || null;
-  }
-  const str = String(raw).trim();
-  return str || null;
-}
-
 function toTargetObject(entry) {
   if (!entry) return null;
   if (typeof entry === 'string') {
@@ -139,6 +199,22 @@ function toTargetObject(entry) {
   return null;
 }
 
+function parseWindowInput(source = {}) {
+  return {
+    window: source.delivery_window ?? source.window,
+    timezone: source.delivery_tz ?? source.timezone ?? source.tz,
+    weekdays: source.delivery_days ?? source.weekdays ?? source.days
+  };
+}
+
+function parseNotifyInput(source = {}) {
+  return {
+    events: source.bitrix_notify ?? source.notify,
+    mode: source.bitrix_notify_mode ?? source.notify_mode,
+    field: source.bitrix_status_field ?? source.status_field
+  };
+}
+
 function parseTargetsInput(raw) {
   const parsed = parseJsonValue(raw, { fallback: raw });
   const base = Array.isArray(parsed) ? parsed : (parsed && typeof parsed === 'object' && parsed.phone ? [parsed] : parsed);
@@ -177,37 +253,80 @@ function createCampaignRecord({
   targets = [],
   meta = null,
   sender_phone_id: requestedSender,
-  sender_display: requestedDisplay
+  sender_display: requestedDisplay,
+  sender_qps: requestedQps,
+  scheduled_at: requestedSchedule = null,
+  delivery = {},
+  components = null,
+  template_category = null,
+  sender_pool: requestedPool = null,
+  sender_strategy: requestedStrategy = null,
+  notify = {},
+  actions = null
 }) {
-  const sender_phone_id = ensureSender(requestedSender, { display: requestedDisplay });
-  const { normalized: normalizedTargets, skipped } = normalizeTargets(targets);
+  const scheduled_at = parseScheduledAt(requestedSchedule);
+  const deliveryWindow = parseDeliveryWindow(delivery);
+  const mapping = parseComponentMapping(components);
+  const status = scheduled_at ? 'scheduled' : 'draft';
+  const pool = parseSenderPool(requestedPool);
+  const sender_strategy = pool ? parseSenderStrategy(requestedStrategy) : null;
+  const sender_pool = pool ? pool.map(({ phone_id, weight }) => ({ phone_id, weight })) : null;
+  const bitrix_notify = parseNotifyPolicy(notify);
+  const actionRules = parseActionRules(actions);
+  const { normalized, skipped } = normalizeTargets(targets);
+  const normalizedTargets = normalized.filter((t) => !isSuppressed(t.phone));
+  const suppressed = normalized.length - normalizedTargets.length;
 
   if (!normalizedTargets.length) {
-    throw new Error('No hay destinatarios válidos para la campaña');
+    const err = httpError(400, suppressed
+      ? `Todos los destinatarios de la campaña están dados de baja (${suppressed} dados de baja, ${skipped} inválidos)`
+      : `No hay destinatarios válidos para la campaña (${skipped} inválidos)`);
+    err.details = { skipped_invalid: skipped, skipped_suppressed: suppressed };
+    throw err;
   }
 
+  // El alta de remitentes va en la misma transacción: si la plantilla no es válida no queda registrado ninguno
   const tx = db.transaction(() => {
-    const stmt = db.prepare(`INSERT INTO campaigns (name, template_name, language, sender_phone_id, status, created_at, total_targets, meta_json)
-      VALUES (?, ?, ?, ?, 'draft', ?, ?, ?)`);
-    const info = stmt.run(name, template_name, language, sender_phone_id, nowIso(), normalizedTargets.length, meta ? JSON.stringify(meta) : null);
-    const campaign_id = info.lastInsertRowid;
-
-    const tStmt = db.prepare(`INSERT INTO campaign_targets (campaign_id, phone, vars_json, status, created_at, updated_at)
-      VALUES (?, ?, ?, 'queued', ?, ?)`);
-
-    let inserted = 0;
-    const now = nowIso();
-    for (const t of normalizedTargets) {
-      try {
-        tStmt.run(campaign_id, t.phone, JSON.stringify(t.vars || {}), now, now);
-        inserted += 1;
-      } catch (err) {
-        if (err?.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
-      }
-    }
-
-    db.prepare('UPDATE campaigns SET total_targets=? WHERE id=?').run(inserted, campaign_id);
-    return { campaign_id, inserted, sender_phone_id };
+    // Con pool, sender_phone_id es el primer miembro (el resto de la app sigue viendo un remitente)
+    const sender_phone_id = pool
+      ? pool.map((m) => ensureSender(m.phone_id, { display: m.display, qps: m.qps }))[0]
+      : ensureSender(requestedSender, { display: requestedDisplay, qps: requestedQps });
+    const waba_id = getSenderWabaId(sender_phone_id) || getWabaId() || null;
+    const template = validateCampaignTemplate({ template_name, language, mapping, targets: normalizedTargets, waba_id });
+    const category = normalizeCategory(template_category) || template?.category || null;
+
+    // Quedan registrados como capped para que se vea a quién no se envió y por qué. En una campaña
+    // programada el límite puede haberse liberado al enviar: solo se cuenta y decide el worker.
+    const rows = normalizedTargets.map((t) => {
+      const cap = checkFrequencyCap(t.phone, category);
+      const capNow = cap && !scheduled_at ? cap : null;
+      return { phone: t.phone, vars_json: JSON.stringify(t.vars || {}), status: capNow ? 'capped' : 'queued', last_error: capNow, cap };
+    });
+    const { campaign_id, inserted: insertedRows } = insertCampaign({
+      name,
+      template_name,
+      language,
+      sender_phone_id,
+      status,
+      scheduled_at,
+      meta_json: meta ? JSON.stringify(meta) : null,
+      delivery_window: deliveryWindow.window,
+      delivery_tz: deliveryWindow.timezone,
+      delivery_days: deliveryWindow.weekdays,
+      components_json: mapping ? JSON.stringify(mapping) : null,
+      template_category: category,
+      sender_pool_json: sender_pool ? JSON.stringify(sender_pool) : null,
+      sender_strategy,
+      bitrix_notify: bitrix_notify.events,
+      bitrix_notify_mode: bitrix_notify.mode,
+      bitrix_status_field: bitrix_notify.field
+    }, rows);
+    const inserted = insertedRows.length;
+    const capped = insertedRows.filter((t) => t.cap).length;
+
+    addCampaignActions(campaign_id, actionRules);
+    const capCounts = scheduled_at ? { capped: 0, would_be_capped: capped } : { capped };
+    return { campaign_id, inserted, ...capCounts, sender_phone_id, sender_pool, sender_strategy, status, scheduled_at, template_category: category, bitrix_notify, actions: actionRules.length };
   });
 
   const result = tx();
@@ -216,68 +335,31 @@ function createCampaignRecord({
   return {
     ...result,
     skipped_invalid: skipped,
+    skipped_suppressed: suppressed,
     duplicates: duplicates > 0 ? duplicates : 0,
     sender_display: senderRow?.display || null
   };
 }
 
-function startCampaign(campaign_id) {
-  const camp = db.prepare('SELECT * FROM campaigns WHERE id=?').get(campaign_id);
-  if (!camp) throw new Error('Campaña no existe');
-
-  const phone_id = ensureSender(camp.sender_phone_id);
-  const targets = db.prepare(`SELECT id FROM campaign_targets WHERE campaign_id=? AND status IN ('queued','failed')`).all(campaign_id);
-
-  const tx = db.transaction(() => {
-    db.prepare(`UPDATE campaigns SET status='running', sender_phone_id=? WHERE id=?`).run(phone_id, campaign_id);
-    for (const t of targets) {
-      enqueueTarget({ campaign_id, target_id: t.id, phone_id });
-    }
-  });
-  tx();
-
-  return { enqueued: targets.length };
-}
-
-function recordEvent({ waMessageId = null, type, payload }) {
-  db.prepare('INSERT INTO events (wa_message_id, type, payload_json, created_at) VALUES (?,?,?,?)')
-    .run(waMessageId, type, JSON.stringify(payload || {}), nowIso());
-}
-
-function extractBitrixMeta(target) {
-  if (!target) return null;
-  try {
-    const vars = JSON.parse(target.vars_json || '{}');
-    return vars?._bitrix || null;
-  } catch {
-    return null;
-  }
-}
-
-async function notifyBitrix(target, comment) {
-  const meta = extractBitrixMeta(target);
-  if (!meta?.entity || !meta?.id || !comment) return;
-  try {
-    await pushTimelineComment({ entity: meta.entity, entityId: meta.id, comment });
-  } catch (err) {
-    console.error('[bitrix] No se pudo registrar comentario:', err?.message || err);
-  }
-}
-
-function buildStatusComment(target, status, errorMsg) {
-  const ts = status?.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : nowIso();
-  let text = `[WhatsApp] Estado ${String(status?.status || 'desconocido').toUpperCase()} para ${target?.phone || 'destinatario'} (${ts}).`;
-  if (errorMsg) {
-    text += ` Motivo: ${errorMsg}`;
-  }
-  return text;
-}
-
-function buildReplyComment(message, target) {
-  const from = message?.from ? `+${message.from}` : 'Cliente';
-  const body = message?.text?.body || message?.button?.text || message?.interactive?.button_reply?.title || '';
-  const trimmed = String(body || '[sin texto]').trim().slice(0, 400);
-  return `[WhatsApp] ${from} respondió a la campaña ${target?.campaign_id || ''}: ${trimmed}`;
+function campaignResponse(created) {
+  return {
+    campaign_id: created.campaign_id,
+    status: created.status,
+    scheduled_at: created.scheduled_at,
+    total_targets: created.inserted,
+    skipped_invalid: created.skipped_invalid,
+    skipped_suppressed: created.skipped_suppressed,
+    capped: created.capped,
+    would_be_capped: created.would_be_capped,
+    template_category: created.template_category,
+    duplicates: created.duplicates,
+    sender_phone_id: created.sender_phone_id,
+    sender_display: created.sender_display,
+    sender_pool: created.sender_pool,
+    sender_strategy: created.sender_strategy,
+    bitrix_notify: created.bitrix_notify,
+    actions: created.actions
+  };
 }
 
 function verifyWaSignature(req) {
@@ -291,30 +373,6 @@ function verifyWaSignature(req) {
   if (expectedHeader.length !== provided.length) return false;
   return crypto.timingSafeEqual(Buffer.from(expectedHeader), Buffer.from(provided));
 }
-function ensureSender(phone_id, { display } = {}) {
-  const resolved = parseSenderId(phone_id) || parseSenderId(process.env.WA_PHONE_NUMBER_ID);
-  if (!resolved) {
-    throw new Error('Debes configurar WA_PHONE_NUMBER_ID en .env o enviar sender_phone_id.');
-  }
-
-  const existing = db.prepare('SELECT display, qps FROM senders WHERE phone_id=?').get(resolved);
-  const desiredDisplay = parseSenderDisplay(display) || existing?.display || `+${resolved}`;
-  const desiredQps = Number(process.env.SENDER_QPS || existing?.qps || 8);
-
-  if (!existing) {
-    db.prepare('INSERT OR IGNORE INTO senders (phone_id, display, qps, created_at) VALUES (?, ?, ?, ?)')
-      .run(resolved, desiredDisplay, desiredQps, nowIso());
-  } else {
-    if (desiredDisplay && desiredDisplay !== existing.display) {
-      db.prepare('UPDATE senders SET display=? WHERE phone_id=?').run(desiredDisplay, resolved);
-    }
-    if (desiredQps && desiredQps !== existing.qps) {
-      db.prepare('UPDATE senders SET qps=? WHERE phone_id=?').run(desiredQps, resolved);
-    }
-  }
-
-  return resolved;
-}
 
 // Crear campaña
 app.post('/api/campaigns', (req, res) => {
@@ -327,32 +385,41 @@ app.post('/api/campaigns', (req, res) => {
     const targets = parseTargetsInput(rawTargets);
     const sender_phone_id = parseSenderId(req.body?.sender_phone_id ?? req.body?.sender ?? req.body?.phone_id);
     const sender_display = parseSenderDisplay(req.body?.sender_display ?? req.body?.sender_name ?? req.body?.senderName);
+    const sender_qps = req.body?.sender_qps ?? req.body?.qps;
+    const scheduled_at = req.body?.scheduled_at ?? req.body?.scheduledAt;
+    const delivery = parseWindowInput(req.body);
+    const components = req.body?.components;
+    const template_category = req.body?.template_category ?? req.body?.category;
+    const sender_pool = req.body?.sender_pool ?? req.body?.senders;
+    const sender_strategy = req.body?.sender_strategy;
+    const notify = parseNotifyInput(req.body);
 
     if (!name || !template_name || !targets.length) {
       return res.status(400).json({ error: 'Parámetros inválidos' });
     }
 
-    const { campaign_id, inserted, skipped_invalid, duplicates, sender_phone_id: finalSender, sender_display: finalDisplay } = createCampaignRecord({
+    const created = createCampaignRecord({
       name,
       template_name,
       language,
       targets,
       meta,
       sender_phone_id,
-      sender_display
-    });
-    return res.json({
-      ok: true,
-      campaign_id,
-      total_targets: inserted,
-      skipped_invalid,
-      duplicates,
-      sender_phone_id: finalSender,
-      sender_display: finalDisplay
+      sender_display,
+      sender_qps,
+      scheduled_at,
+      delivery,
+      components,
+      template_category,
+      sender_pool,
+      sender_strategy,
+      notify,
+      actions: req.body?.actions
     });
+    return res.json({ ok: true, ...campaignResponse(created) });
   } catch (e) {
     console.error(e);
-    return res.status(500).json({ error: e.message });
+    return res.status(e.status || 500).json({ error: e.message, ...e.details });
   }
 });
 
@@ -378,25 +445,74 @@ app.post('/api/campaigns/:id/start', (req, res) => {
     const id = Number(req.params.id);
     const result = startCampaign(id);
     return res.json({ ok: true, ...result });
-  } catch (e) { return res.status(500).json({ error: e.message }); }
+  } catch (e) { return res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Programar / reprogramar / desprogramar
+app.post('/api/campaigns/:id/schedule', (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const result = scheduleCampaign(id, req.body?.scheduled_at ?? req.body?.scheduledAt);
+    return res.json({ ok: true, ...result });
+  } catch (e) { return res.status(e.status || 500).json({ error: e.message }); }
+});
+app.post('/api/campaigns/:id/unschedule', (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const result = unscheduleCampaign(id);
+    return res.json({ ok: true, ...result });
+  } catch (e) { return res.status(e.status || 500).json({ error: e.message }); }
 });
 
 // Pausa/Reanuda/Cancelar
 app.post('/api/campaigns/:id/pause', (req, res) => {
-  const id = Number(req.params.id);
-  db.prepare(`UPDATE campaigns SET status='paused' WHERE id=?`).run(id);
-  res.json({ ok: true });
+  try {
+    const id = Number(req.params.id);
+    return res.json({ ok: true, ...pauseCampaign(id) });
+  } catch (e) { return res.status(e.status || 500).json({ error: e.message }); }
 });
 app.post('/api/campaigns/:id/resume', (req, res) => {
-  const id = Number(req.params.id);
-  db.prepare(`UPDATE campaigns SET status='running' WHERE id=?`).run(id);
-  res.json({ ok: true });
+  try {
+    const id = Number(req.params.id);
+    return res.json({ ok: true, ...resumeCampaign(id) });
+  } catch (e) { return res.status(e.status || 500).json({ error: e.message }); }
 });
 app.post('/api/campaigns/:id/cancel', (req, res) => {
-  const id = Number(req.params.id);
-  db.prepare(`UPDATE campaigns SET status='canceled' WHERE id=?`).run(id);
-  db.prepare(`UPDATE campaign_targets SET status='canceled' WHERE campaign_id=? AND status IN ('queued','sending')`).run(id);
-  res.json({ ok: true });
+  try {
+    const id = Number(req.params.id);
+    return res.json({ ok: true, ...cancelCampaign(id) });
+  } catch (e) { return res.status(e.status || 500).json({ error: e.message }); }
+});
+
+// Reglas de acción: botón o palabra clave en la respuesta → etapa, campo, tarea, baja o plantilla de seguimiento
+app.get('/api/campaigns/:id/actions', (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    getCampaign(id);
+    res.json({ ok: true, items: listCampaignActions(id) });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+app.post('/api/campaigns/:id/actions', (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    getCampaign(id);
+    const ids = addCampaignActions(id, parseActionRules(req.body?.actions ?? req.body));
+    res.json({ ok: true, ids, items: listCampaignActions(id) });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+app.delete('/api/campaigns/:id/actions/:actionId', (req, res) => {
+  try {
+    deleteCampaignAction(Number(req.params.id), Number(req.params.actionId));
+    res.json({ ok: true });
+  } catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+});
+
+app.get('/api/campaigns/:id/actions/runs', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  res.json({ ok: true, items: listActionRuns(Number(req.params.id), { limit, offset }) });
 });
 
 // Estado/progreso
@@ -405,8 +521,207 @@ app.get('/api/campaigns/:id/status', (req, res) => {
   const camp = db.prepare('SELECT * FROM campaigns WHERE id=?').get(id);
   if (!camp) return res.status(404).json({ error: 'Campaña no existe' });
   const by = db.prepare(`SELECT status, COUNT(1) c FROM campaign_targets WHERE campaign_id=? GROUP BY status`).all(id);
-  const last = db.prepare(`SELECT id, status, last_error FROM campaign_targets WHERE campaign_id=? ORDER BY updated_at DESC LIMIT 20`).all(id);
-  res.json({ ok: true, campaign: camp, buckets: by, last });
+  const last = db.prepare(`SELECT id, status, last_error, error_category FROM campaign_targets WHERE campaign_id=? ORDER BY updated_at DESC LIMIT 20`).all(id);
+  const queue = db.prepare(`SELECT status, COUNT(1) c FROM queue WHERE campaign_id=? GROUP BY status`).all(id);
+  const dead = db.prepare(`SELECT q.id, q.target_id, t.phone, q.attempts, q.error_category, q.last_error
+    FROM queue q JOIN campaign_targets t ON t.id=q.target_id
+    WHERE q.campaign_id=? AND q.status='dead' ORDER BY q.id DESC LIMIT 50`).all(id);
+  const senders = db.prepare(`SELECT t.sender_phone_id phone_id, s.status sender_status, COUNT(1) total,
+      SUM(CASE WHEN t.sent_at IS NOT NULL THEN 1 ELSE 0 END) sent
+    FROM campaign_targets t LEFT JOIN senders s ON s.phone_id=t.sender_phone_id
+    WHERE t.campaign_id=? AND t.sender_phone_id IS NOT NULL GROUP BY t.sender_phone_id`).all(id);
+  res.json({ ok: true, campaign: camp, summary: getCampaignSummary(id), buckets: by, queue, senders, dead, last });
+});
+
+// Límites de frecuencia (FREQUENCY_CAPS); con ?phone= incluye lo ya enviado a ese número
+app.get('/api/frequency-caps', (req, res) => {
+  const caps = getFrequencyCaps().map(({ window_ms, ...cap }) => cap);
+  if (!req.query?.phone) return res.json({ ok: true, caps });
+  const phone = normalizePhone(req.query.phone, { defaultCountryCode: DEFAULT_COUNTRY_CODE });
+  const relevant = req.query?.category ? frequencyUsage(phone, req.query.category)
+    : getFrequencyCaps().flatMap((cap) => frequencyUsage(phone, cap.category, { caps: [cap] }));
+  const usage = relevant.map(({ window_ms, ...cap }) => cap);
+  return res.json({ ok: true, caps, phone, usage });
+});
+
+// Archivos recibidos por WhatsApp
+app.get('/api/media', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  res.json({ ok: true, items: listMedia({ phone: req.query?.phone || null, status: req.query?.status || null, limit, offset }) });
+});
+
+// URL pública con token: Bitrix24 descarga desde aquí los archivos que se envían a Canales Abiertos
+app.get('/media/:id/:token', (req, res) => {
+  const file = getMediaFile(req.params.id, req.params.token);
+  if (!file) return res.status(404).send('No encontrado');
+  res.type(file.mime_type || 'application/octet-stream');
+  res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+  return res.sendFile(file.path);
+});
+
+// Mensajes de sesión: texto libre, multimedia, ubicación, reacción o interactivo dentro de la ventana de 24 h
+app.post('/api/messages', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fallback = parseFallbackTemplate(body.fallback ?? body.fallback_template, body.fallback_params);
+    const sent = await sendSessionMessage({
+      to: body.to ?? body.phone,
+      phone_id: body.sender_phone_id ?? body.phone_id,
+      message: body,
+      reply_to: body.reply_to || null,
+      fallback
+    });
+    res.json({ ok: true, ...sent });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message, ...(e.window ? { window: e.window } : {}) });
+  }
+});
+
+app.get('/api/messages', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  res.json({ ok: true, items: listSessionMessages({ phone: req.query?.phone || null, limit, offset }) });
+});
+
+app.get('/api/messages/window', (req, res) => {
+  const phone = normalizePhone(req.query?.phone);
+  if (!isLikelyValidPhone(phone)) return res.status(400).json({ ok: false, error: 'Teléfono inválido' });
+  res.json({ ok: true, window: getSessionWindow(phone, { phone_id: req.query?.sender_phone_id || null }) });
+});
+
+// Lista de bajas (opt-out)
+app.get('/api/suppressions', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 100, 1), 1000);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  const phone = req.query?.phone ? String(req.query.phone).replace(/\D/g, '') : undefined;
+  res.json({ ok: true, ...listSuppressions({ limit, offset, phone }) });
+});
+
+app.post('/api/suppressions', (req, res) => {
+  const phones = parseIds(req.body?.phones ?? req.body?.phone)
+    .map((raw) => normalizePhone(raw, { defaultCountryCode: DEFAULT_COUNTRY_CODE }))
+    .filter(isLikelyValidPhone);
+  if (!phones.length) {
+    return res.status(400).json({ ok: false, error: 'Debes indicar al menos un teléfono válido' });
+  }
+  const reason = req.body?.reason ? String(req.body.reason).slice(0, 200) : null;
+  const items = phones.map((phone) => addSuppression({ phone, reason, source: 'api' }));
+  return res.json({ ok: true, items });
+});
+
+app.delete('/api/suppressions/:phone', (req, res) => {
+  const phone = normalizePhone(req.params.phone, { defaultCountryCode: DEFAULT_COUNTRY_CODE });
+  if (!removeSuppression(phone)) {
+    return res.status(404).json({ ok: false, error: 'El teléfono no está en la lista de bajas' });
+  }
+  return res.json({ ok: true, phone });
+});
+
+// Remitentes y sus credenciales (el token se guarda cifrado y no se devuelve)
+function senderView(sender) {
+  if (!sender) return null;
+  const throttle = getSenderThrottle(sender.phone_id);
+  return { ...sender, effective_qps: throttle.qps, paused: throttle.paused, tier_usage: throttle.tier_usage || null, sent_24h: uniqueRecipientsLast24h(sender.phone_id) };
+}
+
+function senderInput(body = {}) {
+  return {
+    display: parseSenderDisplay(body.display),
+    qps: body.qps,
+    waba_id: body.waba_id,
+    access_token: body.access_token
+  };
+}
+
+app.get('/api/senders', (_req, res) => {
+  res.json({ ok: true, senders: listSenders().map(senderView) });
+});
+
+app.post('/api/senders', async (req, res) => {
+  try {
+    const requested = parseSenderId(req.body?.phone_id);
+    if (!requested) return res.status(400).json({ ok: false, error: 'Falta phone_id' });
+    if (getSender(requested)) return res.status(409).json({ ok: false, error: `El remitente ${requested} ya existe` });
+    const phone_id = ensureSender(requested, senderInput(req.body));
+    // Los metadatos de Meta son un extra: si fallan el remitente queda creado con meta_error
+    await refreshSender(phone_id).catch(() => null);
+    return res.status(201).json({ ok: true, sender: senderView(getSender(phone_id)) });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Da de alta todos los números de la WABA (la del body o WA_WABA_ID)
+app.post('/api/senders/import', async (req, res) => {
+  try {
+    const result = await importSendersFromWaba({ waba_id: req.body?.waba_id, access_token: req.body?.access_token });
+    return res.json({ ok: true, ...result, senders: result.imported.map((id) => senderView(getSender(id))) });
+  } catch (e) {
+    const detail = e?.response?.data?.error?.message || e.message;
+    return res.status(e.status || (e.response ? 502 : 500)).json({ ok: false, error: detail });
+  }
+});
+
+app.get('/api/senders/:phone_id', (req, res) => {
+  const sender = getSender(req.params.phone_id);
+  if (!sender) return res.status(404).json({ ok: false, error: 'Remitente no existe' });
+  return res.json({ ok: true, sender: senderView(sender) });
+});
+
+app.put('/api/senders/:phone_id', (req, res) => {
+  try {
+    const phone_id = ensureSender(req.params.phone_id, senderInput(req.body));
+    res.json({ ok: true, sender: senderView(getSender(phone_id)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/api/senders/:phone_id/refresh', async (req, res) => {
+  if (!getSender(req.params.phone_id)) return res.status(404).json({ ok: false, error: 'Remitente no existe' });
+  try {
+    await refreshSender(req.params.phone_id);
+    return res.json({ ok: true, sender: senderView(getSender(req.params.phone_id)) });
+  } catch (e) {
+    const detail = e?.response?.data?.error?.message || e.message;
+    return res.status(502).json({ ok: false, error: detail });
+  }
+});
+
+app.delete('/api/senders/:phone_id', (req, res) => {
+  try {
+    if (!deleteSender(req.params.phone_id)) return res.status(404).json({ ok: false, error: 'Remitente no existe' });
+    return res.json({ ok: true, phone_id: req.params.phone_id });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Catálogo de plantillas
+app.get('/api/templates', (req, res) => {
+  try {
+    const templates = listTemplates({ status: req.query?.status, name: req.query?.name, waba_id: req.query?.waba_id });
+    res.json({ ok: true, total: templates.length, templates });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/api/templates/sync', async (req, res) => {
+  try {
+    const wabas = await syncAllTemplates({ wabaId: req.body?.waba_id ?? req.query?.waba_id });
+    if (!wabas.length) {
+      return res.status(400).json({ ok: false, error: 'No hay WABA con token para sincronizar (WA_WABA_ID + WA_ACCESS_TOKEN o remitentes con credenciales)' });
+    }
+    const failed = wabas.filter((w) => w.error);
+    const synced = wabas.reduce((sum, w) => sum + (w.synced || 0), 0);
+    const removed = wabas.reduce((sum, w) => sum + (w.removed || 0), 0);
+    return res.status(failed.length === wabas.length ? 502 : 200)
+      .json({ ok: failed.length < wabas.length, synced, removed, wabas });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
 });
 
 app.get('/api/bitrix/health', async (_req, res) => {
@@ -418,13 +733,133 @@ app.get('/api/bitrix/health', async (_req, res) => {
   }
 });
 
+// Robot de automatización: registro en el portal y ejecuciones recibidas
+app.post('/api/bitrix/robot/install', async (req, res) => {
+  try {
+    const handlerUrl = req.body?.handler_url || (PUBLIC_URL ? `${PUBLIC_URL}/bitrix/robot` : '');
+    res.json({ ok: true, robot: await installRobot({ handlerUrl }) });
+  } catch (e) {
+    console.error('[robot] error registrando', e?.response?.data || e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/api/bitrix/robot', async (_req, res) => {
+  try {
+    res.json({ ok: true, robot: await uninstallRobot() });
+  } catch (e) {
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/bitrix/robot/invocations', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  res.json({ ok: true, items: listInvocations({ status: req.query?.status || null, limit, offset }) });
+});
+
+// Bitrix24 llama aquí en cada ejecución del robot; el resultado vuelve luego por bizproc.event.send
+app.post('/bitrix/robot', async (req, res) => {
+  const body = req.body || {};
+  if (!verifyBitrixAuth(body.auth || {})) {
+    return res.status(401).json({ ok: false, error: 'Llamada de robot no autorizada' });
+  }
+  let invocationId = null;
+  try {
+    const document = parseDocumentId(body.document_id);
+    const properties = body.properties && typeof body.properties === 'object' ? body.properties : {};
+    invocationId = recordInvocation({ event_token: body.event_token, document, properties });
+    if (!invocationId) return res.json({ ok: true, duplicate: true });
+
+    const { template_name, language } = parseRobotTemplate(properties.template, DEFAULT_LANG);
+    const varFields = parseRobotVarFields(properties.var_fields);
+    const { targets } = await fetchTargetsFromBitrix({ entity: document.entity, ids: [document.id], varFields });
+    if (!targets.length) throw new Error(`${document.document_id} no tiene un teléfono válido`);
+
+    const created = createCampaignRecord({
+      name: `ROBOT-${document.document_id}-${nowIso()}`,
+      template_name,
+      language,
+      targets,
+      meta: {
+        source: { entity: document.entity, ids: [document.id], origin: 'robot' },
+        robot: { code: ROBOT_CODE, invocation_id: invocationId }
+      },
+      sender_phone_id: parseSenderId(properties.sender)
+    });
+    const target = db.prepare('SELECT id FROM campaign_targets WHERE campaign_id=? ORDER BY id LIMIT 1').get(created.campaign_id);
+    linkInvocation(invocationId, { campaign_id: created.campaign_id, target_id: target.id });
+    startCampaign(created.campaign_id);
+    setImmediate(runBackground);
+    return res.json({ ok: true, invocation_id: invocationId, campaign_id: created.campaign_id });
+  } catch (e) {
+    console.error('[robot] error en ejecución', e?.message || e);
+    if (!invocationId) return res.status(e.status || 500).json({ ok: false, error: e.message });
+    // La ejecución ya existe: el error se devuelve al flujo para que pueda ramificar
+    failInvocation(invocationId, e.message);
+    setImmediate(runBackground);
+    return res.json({ ok: false, invocation_id: invocationId, error: e.message });
+  }
+});
+
+// Conector de Canales Abiertos: alta en el portal, ajustes del Contact Center y mensajes del operador
+app.post('/api/bitrix/openlines/install', async (req, res) => {
+  try {
+    const baseUrl = (req.body?.base_url || PUBLIC_URL).replace(/\/+$/, '');
+    res.json({ ok: true, connector: await installConnector({ baseUrl, line: req.body?.line || undefined }) });
+  } catch (e) {
+    console.error('[openlines] error registrando', e?.response?.data || e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/openlines/messages', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  res.json({ ok: true, items: listOpenlineMessages({ chat_id: req.query?.chat_id || null, status: req.query?.status || null, limit, offset }) });
+});
+
+// Bitrix24 abre esta página al conectar el canal en una línea del Contact Center
+app.post('/bitrix/openlines/settings', async (req, res) => {
+  const memberId = getPortalMemberId();
+  if (!memberId || req.body?.member_id !== memberId) {
+    return res.status(401).send('Portal no autorizado');
+  }
+  try {
+    const options = parseJsonValue(req.body?.PLACEMENT_OPTIONS, { fallback: {} }) || {};
+    if (!options.LINE) return res.status(400).send('Falta la línea');
+    await activateConnector(options.LINE, { baseUrl: PUBLIC_URL });
+    return res.send(`<p>WhatsApp Business conectado a la línea ${Number(options.LINE)}.</p>`);
+  } catch (e) {
+    console.error('[openlines] error activando', e?.response?.data || e);
+    return res.status(500).send('No se pudo activar el conector');
+  }
+});
+
+app.post('/bitrix/openlines/event', (req, res) => {
+  const body = req.body || {};
+  if (!verifyBitrixAuth(body.auth || {})) {
+    return res.status(401).json({ ok: false, error: 'Evento no autorizado' });
+  }
+  try {
+    if (String(body.event || '').toUpperCase() !== 'ONIMCONNECTORMESSAGEADD') return res.json({ ok: true, ignored: true });
+    const queued = receiveOperatorMessages(body.data || {});
+    setImmediate(runOpenlineOutbound);
+    return res.json({ ok: true, queued });
+  } catch (e) {
+    console.error('[openlines] error en evento', e?.message || e);
+    return res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
 app.post('/api/bitrix/campaigns', async (req, res) => {
   try {
-    const entity = String(req.body?.entity || req.query?.entity || 'lead').toLowerCase();
+    const entity = parseEntityType(req.body?.entity || req.query?.entity, req.body?.entity_type_id ?? req.query?.entity_type_id);
     const template_name = req.body?.template_name || req.body?.template || req.body?.templateName;
     const language = req.body?.language || req.body?.lang || DEFAULT_LANG;
     const var_fields = parseVarFields(req.body?.var_fields ?? req.body?.varFields);
     const ids = parseIds(req.body?.ids ?? req.body?.id ?? req.body?.entity_id ?? req.query?.ids);
+    const filter = parseBitrixFilter(parseJsonValue(req.body?.filter ?? req.query?.filter, { fallback: null }));
     const name = req.body?.name || req.body?.campaign_name;
     const auto_start = coerceBoolean(req.body?.auto_start ?? req.body?.autoStart ?? req.query?.auto_start);
     const preview = coerceBoolean(req.body?.preview ?? req.body?.dry ?? req.query?.preview);
@@ -433,18 +868,36 @@ app.post('/api/bitrix/campaigns', async (req, res) => {
     let meta = parseJsonValue(req.body?.meta, { fallback: null });
     const sender_phone_id = parseSenderId(req.body?.sender_phone_id ?? req.body?.sender ?? req.body?.phone_id ?? req.query?.sender_phone_id);
     const sender_display = parseSenderDisplay(req.body?.sender_display ?? req.body?.sender_name ?? req.query?.sender_display);
+    const sender_qps = req.body?.sender_qps ?? req.body?.qps ?? req.query?.sender_qps;
+    const scheduled_at = req.body?.scheduled_at ?? req.body?.scheduledAt ?? req.query?.scheduled_at;
+    const delivery = parseWindowInput({ ...req.query, ...req.body });
+    const components = req.body?.components;
+    const template_category = req.body?.template_category ?? req.query?.template_category;
+    const sender_pool = req.body?.sender_pool ?? req.query?.sender_pool;
+    const sender_strategy = req.body?.sender_strategy ?? req.query?.sender_strategy;
+    const notify = parseNotifyInput({ ...req.query, ...req.body });
+    const summary_user_id = parseSenderId(req.body?.summary_user_id ?? req.query?.summary_user_id);
+    const max_targets = parseMaxTargets(req.body?.max_targets ?? req.query?.max_targets);
 
     if (!template_name) {
       return res.status(400).json({ ok: false, error: 'Falta template_name' });
     }
 
+    let matched = null;
     if (!targets.length) {
-      if (!ids.length) {
-        return res.status(400).json({ ok: false, error: 'Debes indicar ids o targets para crear la campaña' });
+      if (!ids.length && !filter) {
+        return res.status(400).json({ ok: false, error: 'Debes indicar ids, filter o targets para crear la campaña' });
       }
 
-      targets = await fetchTargetsFromBitrix({ entity, ids, varFields: var_fields });
-      meta = meta || { source: { entity, ids, var_fields } };
+      // La vista previa recorre siempre todo el filtro para dar el total; el límite solo frena la creación
+      ({ targets, matched } = await fetchTargetsFromBitrix({
+        entity,
+        ids,
+        filter,
+        varFields: var_fields,
+        ...(preview ? { maxTargets: null } : max_targets ? { maxTargets: max_targets } : {})
+      }));
+      meta = meta || { source: filter ? { entity, ids, filter, var_fields } : { entity, ids, var_fields } };
     } else if (!meta) {
       meta = { source: { entity: 'direct', origin: 'bitrix' } };
     }
@@ -453,39 +906,49 @@ app.post('/api/bitrix/campaigns', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'No se hallaron teléfonos válidos en Bitrix24' });
     }
 
+    if (summary_user_id) {
+      meta = { ...(meta && typeof meta === 'object' ? meta : {}), summary_user_id };
+    }
+
     if (preview) {
-      return res.json({ ok: true, preview: { total: targets.length, sample: targets.slice(0, 10) } });
+      return res.json({ ok: true, preview: { matched, total: targets.length, sample: targets.slice(0, 10) } });
     }
 
     const campaignName = name || `${entity.toUpperCase()}-${nowIso()}`;
-    const { campaign_id, inserted, skipped_invalid, duplicates, sender_phone_id: finalSender, sender_display: finalDisplay } = createCampaignRecord({
+    const created = createCampaignRecord({
       name: campaignName,
       template_name,
       language,
       targets,
       meta,
       sender_phone_id,
-      sender_display
+      sender_display,
+      sender_qps,
+      scheduled_at,
+      delivery,
+      components,
+      template_category,
+      sender_pool,
+      sender_strategy,
+      notify,
+      actions: req.body?.actions
     });
 
+    // Una campaña programada la arranca el worker al llegar scheduled_at
     let started = null;
-    if (auto_start) {
-      started = startCampaign(campaign_id);
+    if (auto_start && created.status !== 'scheduled') {
+      started = startCampaign(created.campaign_id);
     }
 
     res.json({
       ok: true,
-      campaign_id,
-      total_targets: inserted,
-      skipped_invalid,
-      duplicates,
-      sender_phone_id: finalSender,
-      sender_display: finalDisplay,
+      ...campaignResponse(created),
+      status: started ? 'running' : created.status,
       started
     });
   } catch (e) {
     console.error('[bitrix] error creando campaña', e);
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 500).json({ ok: false, error: e.message, ...e.details });
   }
 });
 
@@ -499,74 +962,155 @@ app.get('/webhooks/wa', (req, res) => {
   return res.status(403).send('forbidden');
 });
 
-app.post('/webhooks/wa', async (req, res) => {
+// Se persiste y se responde 200 al instante; el procesamiento va en segundo plano
+app.post('/webhooks/wa', (req, res) => {
   try {
     if (!verifyWaSignature(req)) {
       return res.status(403).json({ ok: false, error: 'Firma inválida' });
     }
+    storeWebhook('wa', req.body);
+    setImmediate(runBackground);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[webhook:wa] error', err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-    const entries = Array.isArray(req.body?.entry) ? req.body.entry : [];
-    for (const entry of entries) {
-      const changes = Array.isArray(entry?.changes) ? entry.changes : [];
-      for (const change of changes) {
-        const value = change?.value || {};
-        const statuses = Array.isArray(value.statuses) ? value.statuses : [];
-        for (const status of statuses) {
-          const messageId = status?.id;
-          if (!messageId) continue;
-          recordEvent({ waMessageId: messageId, type: status.status || 'status', payload: status });
-          const target = db.prepare('SELECT * FROM campaign_targets WHERE wa_message_id=?').get(messageId);
-          if (!target) continue;
-
-          const statusMap = { sent: 'sent', delivered: 'delivered', read: 'read', failed: 'failed' };
-          const newStatus = statusMap[status.status] || null;
-          const now = nowIso();
-          if (newStatus === 'failed') {
-            const errText = Array.isArray(status.errors)
-              ? status.errors.map((e) => e.title || e.message).filter(Boolean).join('; ')
-              : status.status || '';
-            db.prepare('UPDATE campaign_targets SET status=?, last_error=?, updated_at=? WHERE id=?')
-              .run('failed', String(errText).slice(0, 300), now, target.id);
-            await notifyBitrix(target, buildStatusComment(target, status, errText));
-          } else if (newStatus) {
-            db.prepare('UPDATE campaign_targets SET status=?, updated_at=? WHERE id=?')
-              .run(newStatus, now, target.id);
-            await notifyBitrix(target, buildStatusComment(target, status));
-          } else {
-            db.prepare('UPDATE campaign_targets SET updated_at=? WHERE id=?').run(now, target.id);
-          }
-        }
-
-        const messages = Array.isArray(value.messages) ? value.messages : [];
-        for (const message of messages) {
-          const messageId = message?.id;
-          recordEvent({ waMessageId: messageId, type: 'reply', payload: message });
-
-          const contextId = message?.context?.id;
-          let target = null;
-          if (contextId) {
-            target = db.prepare('SELECT * FROM campaign_targets WHERE wa_message_id=?').get(contextId);
-          }
-          if (!target && message?.from) {
-            const normalized = normalizePhone(message.from);
-            target = db.prepare('SELECT * FROM campaign_targets WHERE phone=? ORDER BY updated_at DESC LIMIT 1').get(normalized);
-          }
-
-          if (target) {
-            db.prepare('UPDATE campaign_targets SET updated_at=? WHERE id=?').run(nowIso(), target.id);
-            await notifyBitrix(target, buildReplyComment(message, target));
-          }
-        }
-      }
+// Webhooks recibidos y escrituras pendientes en Bitrix24 (vista de dead-letter)
+app.get('/api/webhooks/inbox', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  res.json({ ok: true, stats: inboxStats(), items: listInbox({ status: req.query?.status || 'dead', limit, offset }) });
+});
+
+app.post('/api/webhooks/inbox/:id/retry', (req, res) => {
+  const retried = retryInbox(Number(req.params.id));
+  if (!retried) return res.status(404).json({ ok: false, error: 'No hay un webhook en dead con ese id' });
+  setImmediate(runBackground);
+  return res.json({ ok: true, retried });
+});
+
+app.get('/api/bitrix/outbox', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+  const offset = Math.max(Number(req.query?.offset) || 0, 0);
+  res.json({ ok: true, stats: outboxStats(), items: listOutbox({ status: req.query?.status || 'dead', limit, offset }) });
+});
+
+app.post('/api/bitrix/outbox/retry', (_req, res) => {
+  const retried = retryOutbox();
+  setImmediate(runBackground);
+  res.json({ ok: true, retried });
+});
+
+app.post('/api/bitrix/outbox/:id/retry', (req, res) => {
+  const retried = retryOutbox(Number(req.params.id));
+  if (!retried) return res.status(404).json({ ok: false, error: 'No hay una escritura en dead con ese id' });
+  setImmediate(runBackground);
+  return res.json({ ok: true, retried });
+});
+
+let backgroundRunning = false;
+let openlineRunning = false;
+let mediaRunning = false;
+let lastPurge = 0;
+
+async function runBackground() {
+  if (backgroundRunning) return;
+  backgroundRunning = true;
+  try {
+    processWebhookInbox();
+    processRobotInvocations();
+    setImmediate(runInboundMedia);
+    await processBitrixOutbox();
+    if (Date.now() - lastPurge > 60 * 60 * 1000) {
+      lastPurge = Date.now();
+      purgeInbox(RETENTION_MS);
+      purgeOutbox(RETENTION_MS);
+      purgeMedia(MEDIA_RETENTION_MS);
     }
+  } catch (err) {
+    console.error('[background] error', err);
+  } finally {
+    backgroundRunning = false;
+  }
+}
 
-    res.json({ ok: true });
+// Las respuestas de operador salen en su propio bucle: un envío lento a Meta no frena el inbox ni el outbox
+async function runOpenlineOutbound() {
+  if (openlineRunning) return;
+  openlineRunning = true;
+  try {
+    await processOpenlineOutbound();
   } catch (err) {
-    console.error('[webhook:wa] error', err);
-    res.status(500).json({ ok: false, error: err.message });
+    console.error('[openlines] error al enviar respuestas de operador', err);
+  } finally {
+    openlineRunning = false;
   }
-});
+}
+
+// Las descargas de archivos también van aparte: un archivo lento no frena el inbox ni el outbox
+async function runInboundMedia() {
+  if (mediaRunning) return;
+  mediaRunning = true;
+  try {
+    await processInboundMedia();
+  } catch (err) {
+    console.error('[media] error al descargar archivos', err);
+  } finally {
+    mediaRunning = false;
+  }
+}
+
+let templateSyncRunning = false;
+
+// Una sincronización lenta no se solapa con la siguiente vuelta del intervalo
+async function runTemplateSync() {
+  if (templateSyncRunning) return;
+  templateSyncRunning = true;
+  try {
+    for (const result of await syncAllTemplates()) {
+      if (result.error) {
+        console.error(`[templates] no se pudo sincronizar la WABA ${result.waba_id}:`, result.error);
+      } else {
+        console.log(`[templates] WABA ${result.waba_id}: ${result.synced} plantillas (${result.removed} eliminadas)`);
+      }
+    }
+  } catch (err) {
+    console.error('[templates] no se pudo sincronizar el catálogo:', err.message);
+  } finally {
+    templateSyncRunning = false;
+  }
+}
+
+let senderRefreshRunning = false;
+
+// Igual que la sincronización de plantillas: no se lanza otra vuelta mientras la anterior sigue en curso
+async function runSenderRefresh() {
+  if (senderRefreshRunning) return;
+  senderRefreshRunning = true;
+  try {
+    for (const result of await refreshAllSenders()) {
+      if (result.error) console.error(`[senders] no se pudo actualizar ${result.phone_id}:`, result.error);
+    }
+  } finally {
+    senderRefreshRunning = false;
+  }
+}
 
 app.listen(PORT, () => {
   console.log(`[API] listening on :${PORT}`);
+  setInterval(runBackground, BACKGROUND_LOOP_MS);
+  setInterval(runOpenlineOutbound, BACKGROUND_LOOP_MS);
+  setInterval(runInboundMedia, BACKGROUND_LOOP_MS);
+  // Se revisa en cada vuelta: pueden darse de alta remitentes con credenciales propias en caliente
+  if (listSyncTargets().length) runTemplateSync();
+  setInterval(() => {
+    if (listSyncTargets().length) runTemplateSync();
+  }, TEMPLATE_SYNC_MS);
+  // Calidad y tier de cada número: el worker reduce o pausa los envíos según lo último leído
+  runSenderRefresh().catch((err) => console.error('[senders] error al actualizar remitentes:', err.message));
+  setInterval(() => {
+    runSenderRefresh().catch((err) => console.error('[senders] error al actualizar remitentes:', err.message));
+  }, SENDER_REFRESH_MS);
 });
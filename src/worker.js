@@ -1,107 +1,253 @@
 import 'dotenv/config';
+import os from 'os';
 import db from './lib/db.js';
-import { fetchBatch, markDone, markFailed } from './lib/queue.js';
-import { sendTemplate, inWindow } from './lib/wa.js';
+import { fetchBatch, listReadySenders, markDone, markFailed, deferJob, reassignJob, extendLease, releaseExpiredLeases } from './lib/queue.js';
+import { sendTemplate, classifySendError, isSenderHealthError } from './lib/wa.js';
 import { isLikelyValidPhone } from './lib/phone.js';
+import { getSenderThrottle } from './lib/senders.js';
+import { createRateLimiter } from './lib/ratelimit.js';
+import { buildTemplateComponents } from './lib/components.js';
+import { isSuppressed } from './lib/suppressions.js';
+import { checkFrequencyCap } from './lib/frequency.js';
+import { campaignPool, createSenderPicker, failoverSender, markSenderActive, markSenderFailing } from './lib/pools.js';
+import { startDueCampaigns, finishCompletedCampaigns } from './lib/campaigns.js';
+import { postDueSummaries } from './lib/summary.js';
+import { nextWindowOpening, defaultTimeZone } from './lib/window.js';
 
-const TOKEN = process.env.WA_ACCESS_TOKEN;
 const LANG = process.env.WA_TEMPLATE_LANG || 'es';
 const LOOP_MS = Number(process.env.WORKER_LOOP_MS || 300);
-const BATCH_SIZE = Number(process.env.BATCH_SIZE || 20);
 const WINDOW = process.env.DELIVERY_WINDOW || '';
+const WINDOW_DAYS = process.env.DELIVERY_DAYS || '';
+// En cluster de PM2 cada proceso toma su parte del QPS del remitente
+const INSTANCES = Math.max(1, Number(process.env.WORKER_INSTANCES || 1));
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
 
-if (!TOKEN) {
-  console.error('Falta WA_ACCESS_TOKEN en .env');
-  process.exit(1);
+if (!process.env.WA_ACCESS_TOKEN) {
+  console.warn('[worker] Sin WA_ACCESS_TOKEN: solo enviarán los remitentes con token propio en senders');
 }
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+const limiter = createRateLimiter();
+// Remitentes con un drenado en curso: cada uno avanza a su ritmo sin esperar a los demás
+const draining = new Set();
+// Último motivo de pausa informado por remitente (para no repetir el log en cada tick)
+const pausedSenders = new Map();
+
+function handleFailure(job, target, failure, lease) {
+  const retry = markFailed(job.id, { ...failure, ...lease });
+  const reason = `[${failure.category}] ${failure.reason}`.slice(0, 500);
+  if (!retry) {
+    console.warn(`[worker] job ${job.id} perdió el lease antes de registrar el error: ${reason}`);
+  } else if (retry.dead) {
+    db.prepare('UPDATE campaign_targets SET status=?, last_error=?, error_category=?, updated_at=? WHERE id=?')
+      .run('failed', reason, failure.category, new Date().toISOString(), target.id);
+    console.warn(`[worker] job ${job.id} sin más reintentos (${retry.attempts}/${retry.maxAttempts}): ${reason}`);
+  } else {
+    // Sigue en cola: el target no se marca failed mientras quedan reintentos
+    db.prepare('UPDATE campaign_targets SET status=?, last_error=?, error_category=?, updated_at=? WHERE id=?')
+      .run('queued', reason, failure.category, new Date().toISOString(), target.id);
+  }
+}
+
+// Con pool, un error de auth/calidad saca al remitente y el job pasa a otro miembro sin gastar un intento
+function tryFailover(job, camp, target, senderPhoneId, failure, lease) {
+  if (!isSenderHealthError(failure)) return false;
+  const pool = campaignPool(camp);
+  const pick = pool && createSenderPicker(pool, camp.sender_strategy, { exclude: senderPhoneId });
+  if (!pick) {
+    markSenderFailing(senderPhoneId, failure.reason);
+    return false;
+  }
+  const moved = failoverSender(senderPhoneId, failure.reason);
+  const next = pick(target.phone);
+  if (!reassignJob(job.id, next, lease)) return false;
+  db.prepare('UPDATE campaign_targets SET status=?, sender_phone_id=?, last_error=?, error_category=?, updated_at=? WHERE id=?')
+    .run('queued', next, `[${failure.category}] ${failure.reason}`.slice(0, 500), failure.category, new Date().toISOString(), target.id);
+  console.warn(`[worker] remitente ${senderPhoneId} marcado failing (${failure.reason}); ${moved + 1} job(s) reasignados`);
+  return true;
+}
+
+function campaignMapping(camp) {
+  if (!camp.components_json) return null;
+  return JSON.parse(camp.components_json);
+}
+
+// Cierra el job y aplica el cambio del destinatario solo si el lease sigue siendo de este worker
+function completeJob(job, lease, apply) {
+  db.transaction(() => {
+    if (!markDone(job.id, lease)) {
+      console.warn(`[worker] job ${job.id} perdió el lease; lo cierra el worker que lo reclamó`);
+      return;
+    }
+    if (apply) apply();
+  })();
+}
+
+function setTargetStatus(target, status, error) {
+  db.prepare('UPDATE campaign_targets SET status=?, last_error=?, updated_at=? WHERE id=?')
+    .run(status, error, new Date().toISOString(), target.id);
+}
+
+async function processJob(job, qps) {
+  const lease = { owner: WORKER_ID };
+  const camp = db.prepare('SELECT * FROM campaigns WHERE id=?').get(job.campaign_id);
+  if (!camp) { completeJob(job, lease); return; }
+  // Pausada después de reclamar el job: se devuelve a la cola tal cual
+  if (camp.status === 'paused') { deferJob(job.id, Date.now(), lease); return; }
+  if (camp.status !== 'running') { completeJob(job, lease); return; }
+
+  const target = db.prepare('SELECT * FROM campaign_targets WHERE id=?').get(job.target_id);
+  if (!target) { completeJob(job, lease); return; }
+  // Otro worker ya lo envió con un lease que luego venció: no se repite el envío
+  if (target.sent_at && target.status !== 'failed') { completeJob(job, lease); return; }
+
+  const senderPhoneId = job.phone_id || camp.sender_phone_id;
+  if (!senderPhoneId) {
+    completeJob(job, lease, () => setTargetStatus(target, 'failed', 'sin_sender_configurado'));
+    return;
+  }
+
+  if (!isLikelyValidPhone(target.phone)) {
+    completeJob(job, lease, () => setTargetStatus(target, 'failed', 'telefono_invalido'));
+    return;
+  }
+
+  // Baja registrada después de crear la campaña
+  if (isSuppressed(target.phone)) {
+    completeJob(job, lease, () => setTargetStatus(target, 'suppressed', 'opt_out'));
+    return;
+  }
+
+  // Fuera de la ventana de su campaña: se pospone el job, el resto de campañas sigue enviando
+  const now = new Date();
+  const opening = nextWindowOpening(now, {
+    window: camp.delivery_window || WINDOW,
+    timezone: camp.delivery_tz,
+    weekdays: camp.delivery_days || WINDOW_DAYS
+  });
+  if (opening > now) {
+    deferJob(job.id, opening.getTime(), lease);
+    return;
+  }
+
+  // Otras campañas pudieron enviarle mientras este job esperaba en cola
+  const capped = checkFrequencyCap(target.phone, camp.template_category);
+  if (capped) {
+    completeJob(job, lease, () => setTargetStatus(target, 'capped', capped));
+    return;
+  }
 
-async function tick() {
+  // Variables faltantes no se arreglan reintentando: fallo permanente del destinatario
+  let components;
   try {
-    const now = new Date();
-    if (!inWindow(now, WINDOW)) return;
+    components = buildTemplateComponents(campaignMapping(camp), JSON.parse(target.vars_json || '{}'));
+  } catch (err) {
+    handleFailure(job, target, { category: 'permanent', code: null, reason: err.message }, lease);
+    return;
+  }
 
-    const batch = fetchBatch({ limit: BATCH_SIZE });
-    if (!batch.length) return;
+  try {
+    await limiter.acquire(senderPhoneId, qps);
+    // El lease cubre este envío completo (la llamada a Meta tiene su propio timeout, muy por debajo)
+    if (!extendLease(job.id, lease)) {
+      console.warn(`[worker] job ${job.id} perdió el lease antes de enviar; se omite`);
+      return;
+    }
+    db.prepare('UPDATE campaign_targets SET status=?, updated_at=? WHERE id=?')
+      .run('sending', new Date().toISOString(), target.id);
+
+    const resp = await sendTemplate({
+      phone_id: senderPhoneId,
+      to: target.phone,
+      template_name: camp.template_name,
+      language: camp.language || LANG,
+      components
+    });
+
+    const wa_id = resp?.messages?.[0]?.id || null;
+
+    const nowIso = new Date().toISOString();
+    db.prepare('INSERT INTO messages (campaign_id, target_id, payload_json, result_json, created_at) VALUES (?,?,?,?,?)')
+      .run(camp.id, target.id, JSON.stringify({ components }), JSON.stringify(resp), nowIso);
+    // Meta ya aceptó el mensaje: el destinatario se marca aunque el lease haya vencido o la campaña
+    // se cancelara durante el envío; solo el cierre del job depende del lease
+    db.transaction(() => {
+      db.prepare('UPDATE campaign_targets SET status=?, wa_message_id=?, sent_at=?, updated_at=? WHERE id=?')
+        .run('sent', wa_id, nowIso, nowIso, target.id);
+      completeJob(job, lease);
+    })();
+    markSenderActive(senderPhoneId);
+  } catch (err) {
+    const failure = classifySendError(err);
+    if (tryFailover(job, camp, target, senderPhoneId, failure, lease)) return;
+    handleFailure(job, target, failure, lease);
+  }
+}
 
-    for (const job of batch) {
-      const camp = db.prepare('SELECT * FROM campaigns WHERE id=?').get(job.campaign_id);
-      if (!camp || ['paused','canceled','done','error'].includes(camp.status)) { markDone(job.id); continue; }
-
-      const target = db.prepare('SELECT * FROM campaign_targets WHERE id=?').get(job.target_id);
-      if (!target) { markDone(job.id); continue; }
-
-      const senderPhoneId = job.phone_id || camp.sender_phone_id;
-      if (!senderPhoneId) {
-        db.prepare('UPDATE campaign_targets SET status=?, last_error=?, updated_at=? WHERE id=?')
-          .run('failed', 'sin_sender_configurado', new Date().toISOString(), target.id);
-        markDone(job.id);
-        continue;
+// Cada remitente drena su cola en su propio bucle: lotes de ~1 s de tokens hasta vaciarla o pausarse.
+async function drainSender(phoneId) {
+  for (;;) {
+    const throttle = getSenderThrottle(phoneId);
+    if (throttle.paused !== pausedSenders.get(phoneId)) {
+      if (throttle.paused) {
+        // Los jobs de campañas con pool no esperan: pasan a otro miembro
+        const moved = failoverSender(phoneId, throttle.paused);
+        const usage = throttle.tier_usage ? ` ${throttle.tier_usage.sent}/${throttle.tier_usage.limit}` : '';
+        console.warn(`[worker] remitente ${phoneId} en pausa: ${throttle.paused}${usage} (${moved} job(s) reasignados)`);
+      } else if (pausedSenders.has(phoneId)) {
+        console.log(`[worker] remitente ${phoneId} reanudado`);
       }
+    }
+    if (throttle.paused) {
+      pausedSenders.set(phoneId, throttle.paused);
+      return;
+    }
+    pausedSenders.delete(phoneId);
+    const qps = throttle.qps / INSTANCES;
+    const batch = fetchBatch({
+      limit: Math.max(1, Math.ceil(qps)),
+      phone_id: phoneId,
+      owner: WORKER_ID
+    });
+    if (!batch.length) return;
+    for (const job of batch) {
+      await processJob(job, qps);
+    }
+  }
+}
 
-      if (!isLikelyValidPhone(target.phone)) {
-        db.prepare('UPDATE campaign_targets SET status=?, last_error=?, updated_at=? WHERE id=?')
-          .run('failed', 'telefono_invalido', new Date().toISOString(), target.id);
-        markDone(job.id);
-        continue;
-      }
+function startDrain(phoneId) {
+  if (draining.has(phoneId)) return;
+  draining.add(phoneId);
+  drainSender(phoneId)
+    .catch((err) => console.error(`[worker] error en remitente ${phoneId}`, err))
+    .finally(() => draining.delete(phoneId));
+}
 
-      try {
-        db.prepare('UPDATE campaign_targets SET status=?, updated_at=? WHERE id=?')
-          .run('sending', new Date().toISOString(), target.id);
-
-        const vars = JSON.parse(target.vars_json || '{}');
-        const components = [];
-        const bodyParams = Object.entries(vars)
-          .filter(([key]) => !String(key).startsWith('_'))
-          .map(([, value]) => ({ type: 'text', text: String(value) }));
-        if (bodyParams.length) components.push({ type: 'body', parameters: bodyParams });
-
-        const resp = await sendTemplate({
-          phone_id: senderPhoneId,
-          token: TOKEN,
-          to: target.phone,
-          template_name: camp.template_name,
-          language: camp.language || LANG,
-          components
-        });
-
-        const wa_id = resp?.messages?.[0]?.id || null;
-
-        const nowIso = new Date().toISOString();
-        db.prepare('INSERT INTO messages (campaign_id, target_id, payload_json, result_json, created_at) VALUES (?,?,?,?,?)')
-          .run(camp.id, target.id, JSON.stringify({ components }), JSON.stringify(resp), nowIso);
-        db.prepare('UPDATE campaign_targets SET status=?, wa_message_id=?, updated_at=? WHERE id=?')
-          .run('sent', wa_id, nowIso, target.id);
-
-        markDone(job.id);
-        await sleep(1000 / Math.max(1, Number(process.env.SENDER_QPS || 8)));
-      } catch (err) {
-        const msg = (err?.response?.data && JSON.stringify(err.response.data)) || err.message;
-        db.prepare('UPDATE campaign_targets SET status=?, last_error=?, updated_at=? WHERE id=?')
-          .run('failed', String(msg).slice(0, 500), new Date().toISOString(), target.id);
-        markFailed(job.id, 3000);
-      }
+function tick() {
+  try {
+    for (const started of startDueCampaigns()) {
+      console.log(`[scheduler] campaña ${started.campaign_id} iniciada (${started.enqueued} jobs)`);
     }
 
-    // Si no hay pendientes de cola, marcar campañas como done si corresponde
-    const pending = db.prepare("SELECT COUNT(1) c FROM queue WHERE status!='done'").get().c;
-    if (pending === 0) {
-      const camps = db.prepare("SELECT id FROM campaigns WHERE status='running'").all();
-      for (const c of camps) {
-        const leftActive = db.prepare("SELECT COUNT(1) c FROM campaign_targets WHERE campaign_id=? AND status IN ('queued','sending')").get(c.id).c;
-        if (leftActive === 0) {
-          const failed = db.prepare("SELECT COUNT(1) c FROM campaign_targets WHERE campaign_id=? AND status='failed'").get(c.id).c;
-          const newStatus = failed > 0 ? 'error' : 'done';
-          db.prepare("UPDATE campaigns SET status=? WHERE id=?").run(newStatus, c.id);
-        }
-      }
+    const reclaimed = releaseExpiredLeases();
+    if (reclaimed.released) console.warn(`[worker] ${reclaimed.released} job(s) con lease vencido devueltos a la cola`);
+    for (const job of reclaimed.dead) {
+      // Si el envío llegó a Meta antes de vencer el lease, el destinatario ya está en sent y se respeta
+      db.prepare(`UPDATE campaign_targets SET status=?, last_error=?, error_category=?, updated_at=? WHERE id=? AND status IN ('queued','sending')`)
+        .run('failed', 'lease_vencido', job.error_category, new Date().toISOString(), job.target_id);
+      console.warn(`[worker] job ${job.id} sin más reintentos tras ${job.attempts} lease(s) vencidos`);
+    }
+
+    for (const phoneId of listReadySenders()) startDrain(phoneId);
+
+    for (const finished of finishCompletedCampaigns()) {
+      console.log(`[worker] campaña ${finished.campaign_id} finalizada (${finished.status})`);
     }
+    postDueSummaries();
   } catch (e) {
     console.error('[worker] error', e);
   }
 }
 
-console.log(`[worker] loop=${LOOP_MS}ms batch=${BATCH_SIZE} window='${WINDOW || 'none'}'`);
+console.log(`[worker] id=${WORKER_ID} loop=${LOOP_MS}ms window='${WINDOW || 'none'}' tz=${defaultTimeZone()} instances=${INSTANCES}`);
 setInterval(tick, LOOP_MS);
@@ -0,0 +1,105 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { default: db } = await import('../src/lib/db.js');
+const {
+  CAMPAIGN_TRANSITIONS,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  scheduleCampaign,
+  unscheduleCampaign,
+  finishCompletedCampaigns,
+  getCampaign
+} = await import('../src/lib/campaigns.js');
+
+function seedCampaign(status = 'draft', phones = ['34600000001', '34600000002']) {
+  const now = new Date().toISOString();
+  const id = db.prepare(`INSERT INTO campaigns (name, template_name, sender_phone_id, status, created_at)
+    VALUES ('c', 't', '111', ?, ?)`).run(status, now).lastInsertRowid;
+  for (const phone of phones) {
+    db.prepare(`INSERT INTO campaign_targets (campaign_id, phone, created_at, updated_at) VALUES (?, ?, ?, ?)`).run(id, phone, now, now);
+  }
+  return id;
+}
+
+function queued(campaign_id) {
+  return db.prepare(`SELECT COUNT(1) c FROM queue WHERE campaign_id=? AND status='queued'`).get(campaign_id).c;
+}
+
+beforeEach(() => {
+  db.exec('DELETE FROM queue; DELETE FROM campaign_targets; DELETE FROM campaigns;');
+});
+
+test('done y canceled son estados finales', () => {
+  assert.deepEqual(CAMPAIGN_TRANSITIONS.done, []);
+  assert.deepEqual(CAMPAIGN_TRANSITIONS.canceled, []);
+});
+
+test('startCampaign pasa a running y encola un job por destinatario', () => {
+  const id = seedCampaign();
+  assert.deepEqual(startCampaign(id), { status: 'running', enqueued: 2 });
+  const camp = getCampaign(id);
+  assert.equal(camp.status, 'running');
+  assert.ok(camp.started_at);
+  assert.equal(queued(id), 2);
+});
+
+test('una campaña en running no se puede volver a iniciar', () => {
+  const id = seedCampaign();
+  startCampaign(id);
+  assert.throws(() => startCampaign(id), { status: 409, message: 'Transición no permitida: running → running' });
+  assert.equal(queued(id), 2);
+});
+
+test('pausar conserva los jobs en cola y reanudar los mantiene', () => {
+  const id = seedCampaign();
+  startCampaign(id);
+  assert.deepEqual(pauseCampaign(id), { status: 'paused', pending: 2 });
+  assert.equal(queued(id), 2);
+  assert.deepEqual(resumeCampaign(id), { status: 'running', pending: 2 });
+});
+
+test('solo se reanuda una campaña pausada', () => {
+  const id = seedCampaign();
+  assert.throws(() => resumeCampaign(id), { status: 409 });
+  assert.throws(() => pauseCampaign(id), { status: 409 });
+});
+
+test('cancelar borra la cola y marca los destinatarios pendientes', () => {
+  const id = seedCampaign();
+  startCampaign(id);
+  assert.deepEqual(cancelCampaign(id), { status: 'canceled', dropped: 2, canceled_targets: 2 });
+  assert.equal(queued(id), 0);
+  assert.throws(() => startCampaign(id), { status: 409 });
+  assert.throws(() => cancelCampaign(id), { status: 409 });
+});
+
+test('programar y desprogramar solo desde draft o scheduled', () => {
+  const id = seedCampaign();
+  const at = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  assert.deepEqual(scheduleCampaign(id, at), { status: 'scheduled', scheduled_at: at });
+  // Reprogramar una campaña ya programada
+  assert.equal(scheduleCampaign(id, at).status, 'scheduled');
+  assert.equal(unscheduleCampaign(id).status, 'draft');
+  startCampaign(id);
+  assert.throws(() => scheduleCampaign(id, at), { status: 409 });
+});
+
+test('una campaña inexistente da 404', () => {
+  assert.throws(() => pauseCampaign(999), { status: 404 });
+});
+
+test('finishCompletedCampaigns cierra en done o error según sus destinatarios', () => {
+  const ok = seedCampaign('running', ['34600000001']);
+  const ko = seedCampaign('running', ['34600000002']);
+  const busy = seedCampaign('running', ['34600000003']);
+  db.prepare(`UPDATE campaign_targets SET status='sent' WHERE campaign_id=?`).run(ok);
+  db.prepare(`UPDATE campaign_targets SET status='failed' WHERE campaign_id=?`).run(ko);
+  const finished = finishCompletedCampaigns();
+  assert.deepEqual(finished, [{ campaign_id: ok, status: 'done' }, { campaign_id: ko, status: 'error' }]);
+  assert.ok(getCampaign(ok).finished_at);
+  assert.equal(getCampaign(busy).status, 'running');
+});
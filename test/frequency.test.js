@@ -0,0 +1,78 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { default: db } = await import('../src/lib/db.js');
+const { parseFrequencyCaps, checkFrequencyCap, frequencyUsage } = await import('../src/lib/frequency.js');
+
+const PHONE = '34600000001';
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2025-03-01T12:00:00Z');
+
+function sentAgo(ms, category = 'MARKETING', phone = PHONE) {
+  const at = new Date(NOW - ms).toISOString();
+  const campaign = db.prepare(`INSERT INTO campaigns (name, template_name, sender_phone_id, status, template_category, created_at)
+    VALUES ('c', 't', '111', 'done', ?, ?)`).run(category, at).lastInsertRowid;
+  db.prepare(`INSERT INTO campaign_targets (campaign_id, phone, status, sent_at, created_at, updated_at) VALUES (?, ?, 'sent', ?, ?, ?)`)
+    .run(campaign, phone, at, at, at);
+}
+
+function fallbackAgo(ms, { category = 'MARKETING', wa_message_id = 'wamid.F' } = {}) {
+  const at = new Date(NOW - ms).toISOString();
+  db.prepare(`INSERT INTO session_messages (phone, phone_id, type, via, payload_json, wa_message_id, status, template_category, created_at, updated_at)
+    VALUES (?, '111', 'template', 'template', '{}', ?, 'sent', ?, ?, ?)`).run(PHONE, wa_message_id, category, at, at);
+}
+
+beforeEach(() => {
+  db.exec('DELETE FROM session_messages; DELETE FROM campaign_targets; DELETE FROM campaigns;');
+});
+
+test('parseFrequencyCaps normaliza categoría y ventana', () => {
+  assert.deepEqual(parseFrequencyCaps('marketing:2/24h, *:4/7d'), [
+    { category: 'MARKETING', max: 2, window: '24h', window_ms: 24 * HOUR },
+    { category: '*', max: 4, window: '7d', window_ms: 7 * 24 * HOUR }
+  ]);
+  assert.deepEqual(parseFrequencyCaps(''), []);
+});
+
+test('parseFrequencyCaps rechaza un límite mal escrito con 400', () => {
+  assert.throws(() => parseFrequencyCaps('marketing:2'), { status: 400 });
+});
+
+test('checkFrequencyCap corta al alcanzar el máximo dentro de la ventana', () => {
+  const caps = parseFrequencyCaps('marketing:2/24h');
+  sentAgo(2 * HOUR);
+  assert.equal(checkFrequencyCap(PHONE, 'marketing', { now: NOW, caps }), null);
+  sentAgo(HOUR);
+  assert.equal(checkFrequencyCap(PHONE, 'marketing', { now: NOW, caps }), 'cap:MARKETING:2/24h');
+});
+
+test('los envíos fuera de la ventana no cuentan', () => {
+  const caps = parseFrequencyCaps('marketing:1/24h');
+  sentAgo(25 * HOUR);
+  assert.equal(checkFrequencyCap(PHONE, 'MARKETING', { now: NOW, caps }), null);
+});
+
+test('un límite de categoría no cuenta otras categorías; * las cuenta todas', () => {
+  const caps = parseFrequencyCaps('marketing:1/24h,*:2/24h');
+  sentAgo(HOUR, 'UTILITY');
+  assert.equal(checkFrequencyCap(PHONE, 'marketing', { now: NOW, caps }), null);
+  sentAgo(HOUR, 'UTILITY');
+  assert.equal(checkFrequencyCap(PHONE, 'marketing', { now: NOW, caps }), 'cap:*:2/24h');
+  assert.equal(checkFrequencyCap('34600000002', 'marketing', { now: NOW, caps }), null);
+});
+
+test('las plantillas de respaldo aceptadas por Meta cuentan en el límite', () => {
+  const caps = parseFrequencyCaps('marketing:2/24h');
+  sentAgo(HOUR);
+  fallbackAgo(HOUR, { wa_message_id: null });
+  assert.equal(checkFrequencyCap(PHONE, 'marketing', { now: NOW, caps }), null);
+  fallbackAgo(HOUR);
+  assert.equal(checkFrequencyCap(PHONE, 'marketing', { now: NOW, caps }), 'cap:MARKETING:2/24h');
+  assert.deepEqual(frequencyUsage(PHONE, 'marketing', { now: NOW, caps }).map((u) => u.sent), [2]);
+});
+
+test('sin límites configurados nunca corta', () => {
+  sentAgo(HOUR);
+  assert.equal(checkFrequencyCap(PHONE, 'marketing', { now: NOW, caps: [] }), null);
+});
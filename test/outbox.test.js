@@ -0,0 +1,127 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+// Portal de Bitrix24 falso: los métodos fail.* responden error, el resto result: true
+const calls = [];
+const portal = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const method = req.url.split('?')[0].replace('/rest/', '');
+    const params = JSON.parse(body || '{}');
+    calls.push(method);
+    res.setHeader('content-type', 'application/json');
+    if (method === 'batch') {
+      const result = {};
+      const errors = {};
+      for (const [key, cmd] of Object.entries(params.cmd)) {
+        if (cmd.startsWith('fail.')) errors[key] = { error: 'ERROR_CORE', error_description: 'falló' };
+        else result[key] = true;
+      }
+      return res.end(JSON.stringify({ result: { result, result_error: errors } }));
+    }
+    if (method.startsWith('fail.')) {
+      res.statusCode = 400;
+      return res.end(JSON.stringify({ error: 'ERROR_CORE', error_description: 'falló' }));
+    }
+    return res.end(JSON.stringify({ result: true }));
+  });
+});
+await new Promise((resolve) => portal.listen(0, '127.0.0.1', resolve));
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+const tokensPath = path.join(dir, 'b24_tokens.json');
+fs.writeFileSync(tokensPath, JSON.stringify({
+  access_token: 'test',
+  client_endpoint: `http://127.0.0.1:${portal.address().port}/rest`
+}));
+
+process.env.DB_PATH = ':memory:';
+process.env.B24_TOKENS_PATH = tokensPath;
+process.env.B24_RATE_LIMIT = '1000';
+process.env.B24_MAX_RETRIES = '0';
+process.env.BITRIX_OUTBOX_MAX_ATTEMPTS = '3';
+const { default: db } = await import('../src/lib/db.js');
+const { enqueueBitrixCall, processBitrixOutbox, retryOutbox, outboxStats } = await import('../src/lib/outbox.js');
+
+const BASE_MS = 30 * 1000;
+
+function row(id) {
+  return db.prepare('SELECT * FROM bitrix_outbox WHERE id=?').get(id);
+}
+
+// Adelanta el reintento para no esperar al backoff
+function makeDue(id) {
+  db.prepare('UPDATE bitrix_outbox SET available_at=0 WHERE id=?').run(id);
+}
+
+beforeEach(() => {
+  db.exec('DELETE FROM bitrix_outbox');
+  calls.length = 0;
+});
+
+after(() => {
+  portal.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('una escritura correcta queda en done', async () => {
+  const id = enqueueBitrixCall('crm.timeline.comment.add', { fields: { COMMENT: 'hola' } });
+  assert.deepEqual(await processBitrixOutbox(), { done: 1, failed: 0 });
+  assert.equal(row(id).status, 'done');
+  assert.equal(row(id).attempts, 1);
+});
+
+test('un fallo se reintenta con backoff exponencial', async () => {
+  const id = enqueueBitrixCall('fail.method', {});
+  let start = Date.now();
+  assert.deepEqual(await processBitrixOutbox(), { done: 0, failed: 1 });
+  let job = row(id);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 1);
+  assert.match(job.last_error, /falló/);
+  // Primer reintento entre BASE/2 y BASE; el segundo, entre BASE y 2·BASE
+  assert.ok(job.available_at >= start + BASE_MS / 2 && job.available_at <= Date.now() + BASE_MS);
+
+  makeDue(id);
+  start = Date.now();
+  await processBitrixOutbox();
+  job = row(id);
+  assert.equal(job.attempts, 2);
+  assert.ok(job.available_at >= start + BASE_MS && job.available_at <= Date.now() + 2 * BASE_MS);
+});
+
+test('una escritura que aún no toca no se procesa', async () => {
+  const id = enqueueBitrixCall('fail.method', {});
+  await processBitrixOutbox();
+  assert.deepEqual(await processBitrixOutbox(), { done: 0, failed: 0 });
+  assert.equal(row(id).attempts, 1);
+});
+
+test('tras BITRIX_OUTBOX_MAX_ATTEMPTS queda en dead y retryOutbox la devuelve a la cola', async () => {
+  const id = enqueueBitrixCall('fail.method', {});
+  for (let i = 0; i < 3; i += 1) {
+    makeDue(id);
+    await processBitrixOutbox();
+  }
+  assert.equal(row(id).status, 'dead');
+  assert.equal(row(id).attempts, 3);
+  assert.equal(outboxStats().dead, 1);
+
+  assert.equal(retryOutbox(id), 1);
+  assert.equal(row(id).status, 'queued');
+  assert.equal(row(id).attempts, 0);
+});
+
+test('en un batch solo se reintenta el comando que falló', async () => {
+  const ok = enqueueBitrixCall('crm.timeline.comment.add', { fields: { COMMENT: 'a' } });
+  const ko = enqueueBitrixCall('fail.method', {});
+  assert.deepEqual(await processBitrixOutbox(), { done: 1, failed: 1 });
+  assert.deepEqual(calls, ['batch']);
+  assert.equal(row(ok).status, 'done');
+  assert.equal(row(ko).status, 'queued');
+});
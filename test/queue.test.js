@@ -0,0 +1,92 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { default: db } = await import('../src/lib/db.js');
+const { enqueueTarget, fetchBatch, releaseExpiredLeases, markFailed, markDone, RETRY_POLICIES } = await import('../src/lib/queue.js');
+
+function seedJob() {
+  const now = new Date().toISOString();
+  const campaign = db.prepare(`INSERT INTO campaigns (name, template_name, sender_phone_id, status, created_at)
+    VALUES ('c', 't', '111', 'running', ?)`).run(now).lastInsertRowid;
+  const target = db.prepare(`INSERT INTO campaign_targets (campaign_id, phone, created_at, updated_at) VALUES (?, '34600000001', ?, ?)`)
+    .run(campaign, now, now).lastInsertRowid;
+  enqueueTarget({ campaign_id: campaign, target_id: target, phone_id: '111' });
+  return db.prepare('SELECT id FROM queue WHERE target_id=?').get(target).id;
+}
+
+function job(id) {
+  return db.prepare('SELECT * FROM queue WHERE id=?').get(id);
+}
+
+beforeEach(() => {
+  db.exec('DELETE FROM queue; DELETE FROM campaign_targets; DELETE FROM campaigns;');
+});
+
+test('releaseExpiredLeases devuelve a la cola los jobs con lease vencido y cuenta el intento', () => {
+  const id = seedJob();
+  fetchBatch({ owner: 'w1', leaseMs: -1 });
+  const result = releaseExpiredLeases();
+  assert.equal(result.released, 1);
+  assert.deepEqual(result.dead, []);
+  assert.equal(job(id).status, 'queued');
+  assert.equal(job(id).attempts, 1);
+  assert.equal(job(id).last_error, 'lease_vencido');
+  assert.equal(job(id).lease_owner, null);
+});
+
+test('releaseExpiredLeases no toca los leases vigentes', () => {
+  const id = seedJob();
+  fetchBatch({ owner: 'w1', leaseMs: 60000 });
+  assert.deepEqual(releaseExpiredLeases(), { released: 0, dead: [] });
+  assert.equal(job(id).status, 'processing');
+});
+
+test('releaseExpiredLeases manda a dead el job que agota los intentos de unknown', () => {
+  const id = seedJob();
+  const max = RETRY_POLICIES.unknown.maxAttempts;
+  for (let i = 1; i < max; i += 1) {
+    fetchBatch({ owner: 'w1', leaseMs: -1 });
+    assert.equal(releaseExpiredLeases().released, 1);
+  }
+  fetchBatch({ owner: 'w1', leaseMs: -1 });
+  const result = releaseExpiredLeases();
+  assert.equal(result.released, 0);
+  assert.equal(result.dead.length, 1);
+  assert.equal(result.dead[0].attempts, max);
+  assert.equal(job(id).status, 'dead');
+});
+
+test('markFailed reprograma con backoff exponencial según la categoría', () => {
+  const id = seedJob();
+  const policy = RETRY_POLICIES.transient;
+  fetchBatch({ owner: 'w1' });
+  const before = Date.now();
+  const first = markFailed(id, { category: 'transient', reason: 'timeout', owner: 'w1' });
+  assert.equal(first.dead, false);
+  assert.equal(first.attempts, 1);
+  assert.ok(first.available_at >= before + policy.baseMs);
+
+  db.prepare(`UPDATE queue SET status='processing', lease_owner='w1' WHERE id=?`).run(id);
+  const second = markFailed(id, { category: 'transient', reason: 'timeout', owner: 'w1' });
+  assert.ok(second.available_at - Date.now() > policy.baseMs * 1.5);
+  assert.equal(job(id).status, 'queued');
+  assert.equal(job(id).error_category, 'transient');
+});
+
+test('markFailed manda a dead un error permanente al primer intento', () => {
+  const id = seedJob();
+  fetchBatch({ owner: 'w1' });
+  assert.deepEqual(markFailed(id, { category: 'permanent', reason: '131026: no WhatsApp', owner: 'w1' }),
+    { dead: true, attempts: 1, maxAttempts: 1 });
+  assert.equal(job(id).status, 'dead');
+});
+
+test('markFailed y markDone no pisan un job cuyo lease es de otro worker', () => {
+  const id = seedJob();
+  fetchBatch({ owner: 'w2' });
+  assert.equal(markFailed(id, { category: 'transient', owner: 'w1' }), null);
+  assert.equal(markDone(id, { owner: 'w1' }), false);
+  assert.equal(job(id).status, 'processing');
+  assert.equal(markDone(id, { owner: 'w2' }), true);
+});
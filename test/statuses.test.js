@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { default: db } = await import('../src/lib/db.js');
+const { processWaPayload } = await import('../src/lib/webhooks.js');
+
+const T0 = 1700000000;
+
+function seedTarget(status = 'sent') {
+  const now = new Date().toISOString();
+  const campaign = db.prepare(`INSERT INTO campaigns (name, template_name, sender_phone_id, status, created_at)
+    VALUES ('c', 't', '111', 'running', ?)`).run(now).lastInsertRowid;
+  return db.prepare(`INSERT INTO campaign_targets (campaign_id, phone, vars_json, status, wa_message_id, created_at, updated_at)
+    VALUES (?, '34600000001', ?, ?, 'wamid.T1', ?, ?)`)
+    .run(campaign, JSON.stringify({ _bitrix: { entity: 'deal', id: '45' } }), status, now, now).lastInsertRowid;
+}
+
+function statusPayload(status, offset = 0, extra = {}) {
+  return {
+    entry: [{ changes: [{ value: {
+      metadata: { phone_number_id: '111' },
+      statuses: [{ id: 'wamid.T1', status, timestamp: String(T0 + offset), recipient_id: '34600000001', ...extra }]
+    } }] }]
+  };
+}
+
+function target(id) {
+  return db.prepare('SELECT * FROM campaign_targets WHERE id=?').get(id);
+}
+
+function notifications() {
+  return db.prepare(`SELECT COUNT(1) c FROM bitrix_outbox`).get().c;
+}
+
+beforeEach(() => {
+  db.exec('DELETE FROM events; DELETE FROM bitrix_outbox; DELETE FROM campaign_targets; DELETE FROM campaigns;');
+});
+
+test('los estados avanzan en orden sent → delivered → read', () => {
+  const id = seedTarget();
+  processWaPayload(statusPayload('delivered', 10));
+  assert.equal(target(id).status, 'delivered');
+  processWaPayload(statusPayload('read', 20));
+  assert.equal(target(id).status, 'read');
+  assert.equal(target(id).read_at, new Date((T0 + 20) * 1000).toISOString());
+});
+
+test('un delivered que llega después de read no hace retroceder el estado', () => {
+  const id = seedTarget();
+  processWaPayload(statusPayload('read', 20));
+  processWaPayload(statusPayload('delivered', 10));
+  const row = target(id);
+  assert.equal(row.status, 'read');
+  // read implica entrega: se queda la hora más temprana
+  assert.equal(row.delivered_at, new Date((T0 + 10) * 1000).toISOString());
+});
+
+test('failed no pisa un mensaje ya entregado', () => {
+  const id = seedTarget();
+  processWaPayload(statusPayload('delivered', 10));
+  processWaPayload(statusPayload('failed', 30, { errors: [{ code: 131026, title: 'Message undeliverable' }] }));
+  assert.equal(target(id).status, 'delivered');
+  assert.equal(target(id).failed_at, null);
+});
+
+test('failed sobre un mensaje enviado guarda el motivo', () => {
+  const id = seedTarget();
+  processWaPayload(statusPayload('failed', 30, { errors: [{ code: 131026, title: 'Message undeliverable' }] }));
+  assert.equal(target(id).status, 'failed');
+  assert.equal(target(id).last_error, 'Message undeliverable');
+});
+
+test('un estado repetido se procesa una sola vez y avisa una sola vez a Bitrix24', () => {
+  const id = seedTarget();
+  processWaPayload(statusPayload('delivered', 10));
+  const after = notifications();
+  assert.equal(after, 1);
+  processWaPayload(statusPayload('delivered', 10));
+  assert.equal(notifications(), after);
+  assert.equal(target(id).status, 'delivered');
+});
+
+test('un estado que no avanza no genera aviso', () => {
+  seedTarget('read');
+  processWaPayload(statusPayload('delivered', 10));
+  assert.equal(notifications(), 0);
+});
@@ -18,30 +18,44 @@ app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 app.use(express.json({ limit: '2mb' }));
 
 const PORT = Number(process.env.APP_PORT_UI || process.env.PORT || 3060);
-const META_TOKEN = process.env.META_WABA_TOKEN || '';
+const META_TOKEN = process.env.META_WABA_TOKEN || process.env.WA_ACCESS_TOKEN || '';
 const BUSINESS_ID = process.env.META_WABA_BUSINESS_ID || process.env.META_WABA_BUSINESSID || '';
 const DEFAULT_SENDER_ENV = process.env.DEFAULT_SENDER_PHONE_ID || '';
 const API_VERSION = 'v20.0';
-const TOKEN_PRESENT = Boolean(META_TOKEN);
 
-const SENDER_OPTIONS = [
-  {
-    id: process.env.WABA_PHONE_ID_1,
-    label: '+51 1 6193638 · Catálogo Azaleia (857608144100041)',
-  },
-  {
-    id: process.env.WABA_PHONE_ID_2,
-    label: '+51 1 6193636 · Catálogo (741220429081783)',
-  },
-  {
-    id: process.env.WABA_PHONE_ID_3,
-    label: '+51 966 748 784 (8946771777051432)',
-  },
-].filter((item) => Boolean(item.id));
+// Remitentes y tokens salen del registro de la app (tabla senders, tokens cifrados con SENDER_TOKEN_KEY)
+let sendersLib = null;
+const sendersReady = import('../../src/lib/senders.js').then((mod) => {
+  sendersLib = mod;
+});
 
-const DEFAULT_SENDER =
-  (DEFAULT_SENDER_ENV && SENDER_OPTIONS.find((sender) => sender.id === DEFAULT_SENDER_ENV)?.id) ||
-  (SENDER_OPTIONS[0] ? SENDER_OPTIONS[0].id : '');
+function senderOptions() {
+  return sendersLib.listSenders().map((row) => ({
+    id: row.phone_id,
+    label: [row.display_phone_number || row.display, row.verified_name].filter(Boolean).join(' · '),
+    hasToken: row.has_token,
+  }));
+}
+
+function tokenPresent(senders) {
+  return Boolean(META_TOKEN) || senders.some((sender) => sender.hasToken);
+}
+
+// Sin token propio en senders se usa WA_ACCESS_TOKEN y, en último caso, META_WABA_TOKEN
+function tokenForSender(phoneId) {
+  try {
+    return sendersLib.getSenderCredentials(phoneId).token;
+  } catch (error) {
+    return META_TOKEN;
+  }
+}
+
+function defaultSender(senders) {
+  return (
+    (DEFAULT_SENDER_ENV && senders.find((sender) => sender.id === DEFAULT_SENDER_ENV)?.id) ||
+    (senders[0] ? senders[0].id : '')
+  );
+}
 
 const FALLBACK_TEMPLATES = [
   {
@@ -78,11 +92,12 @@ const templateCache = {
 function logStartup() {
   console.log('[b24-ui] ------------------------------');
   console.log(`[b24-ui] Inicializando en puerto :${PORT}`);
-  console.log(`[b24-ui] META_WABA_TOKEN presente: ${TOKEN_PRESENT ? 'Sí' : 'No'}`);
+  const senders = senderOptions();
+  console.log(`[b24-ui] META_WABA_TOKEN presente: ${tokenPresent(senders) ? 'Sí' : 'No'}`);
   console.log(`[b24-ui] META_WABA_BUSINESS_ID: ${BUSINESS_ID || 'no definido'}`);
-  console.log(`[b24-ui] Remitentes configurados: ${SENDER_OPTIONS.length}`);
-  if (!SENDER_OPTIONS.length) {
-    console.warn('[b24-ui] ⚠️ No hay remitentes configurados. Define WABA_PHONE_ID_1/2/3 en el .env.');
+  console.log(`[b24-ui] Remitentes configurados: ${senders.length}`);
+  if (!senders.length) {
+    console.warn('[b24-ui] ⚠️ No hay remitentes registrados. Dalos de alta con POST /api/senders en la API.');
   }
 }
 
@@ -141,7 +156,7 @@ function mapTemplateEntry(entry) {
 }
 
 async function fetchTemplatesFromMeta() {
-  if (!TOKEN_PRESENT || !BUSINESS_ID) {
+  if (!META_TOKEN || !BUSINESS_ID) {
     return [];
   }
   const url = `https://graph.facebook.com/${API_VERSION}/${BUSINESS_ID}/message_templates?limit=200&access_token=${encodeURIComponent(
@@ -339,12 +354,16 @@ async function sendTemplate({ phoneId, recipient, template, variablesInput }) {
   }
 
   const url = `https://graph.facebook.com/${API_VERSION}/${phoneId}/messages`;
+  const token = tokenForSender(phoneId);
+  if (!token) {
+    return { ok: false, status: 0, error: { message: `El remitente ${phoneId} no tiene token configurado` }, payload };
+  }
   try {
     const response = await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${META_TOKEN}`,
+        Authorization: `Bearer ${token}`,
       },
       body: JSON.stringify(payload),
     });
@@ -406,14 +425,16 @@ function renderResults(results) {
 function renderPage({ req, res, placement, templates, formData = {}, alertMessage = '', successMessage = '', results = [] }) {
   const actionPath = req.originalUrl || req.path;
   const templateJson = safeJson(templates);
-  const sendersJson = safeJson(SENDER_OPTIONS);
+  const senders = senderOptions();
+  const tokenOk = tokenPresent(senders);
+  const sendersJson = safeJson(senders.map(({ id, label }) => ({ id, label })));
   const initialFormJson = safeJson({
     templateKey: formData.templateKey || '',
     sender: formData.sender || '',
     recipients: formData.recipients || '',
     varsJson: formData.varsJson || '',
   });
-  const pageStateJson = safeJson({ tokenPresent: TOKEN_PRESENT, defaultSender: DEFAULT_SENDER });
+  const pageStateJson = safeJson({ tokenPresent: tokenOk, defaultSender: defaultSender(senders) });
   const resultsHtml = renderResults(results);
 
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
@@ -731,7 +752,7 @@ function renderPage({ req, res, placement, templates, formData = {}, alertMessag
   </main>
   ${resultsHtml}
   <footer>
-    Estado del token: <strong>${TOKEN_PRESENT ? 'Sí' : 'No'}</strong> · Puerto: ${PORT}
+    Estado del token: <strong>${tokenOk ? 'Sí' : 'No'}</strong> · Puerto: ${PORT}
   </footer>
   <script>
     const templates = ${templateJson};
@@ -986,8 +1007,9 @@ async function handlePost(req, res) {
   let successMessage = '';
   let results = [];
 
-  if (!TOKEN_PRESENT) {
-    alertMessage = 'Configura META_WABA_TOKEN en .env para habilitar los envíos.';
+  const senders = senderOptions();
+  if (!tokenPresent(senders)) {
+    alertMessage = 'Guarda el token de los remitentes (PUT /api/senders/:phone_id) o configura META_WABA_TOKEN en .env para habilitar los envíos.';
     return renderPage({ req, res, placement, templates, formData, alertMessage, results });
   }
 
@@ -1007,7 +1029,7 @@ async function handlePost(req, res) {
     return renderPage({ req, res, placement, templates, formData, alertMessage, results });
   }
 
-  if (!SENDER_OPTIONS.find((sender) => sender.id === formData.sender)) {
+  if (!senders.find((sender) => sender.id === formData.sender)) {
     alertMessage = 'El remitente elegido no es válido.';
     return renderPage({ req, res, placement, templates, formData, alertMessage, results });
   }
@@ -1089,7 +1111,14 @@ app.use((req, res, next) => {
   return next();
 });
 
-app.listen(PORT, () => {
-  logStartup();
-  console.log('[b24-ui] Servidor listo.');
-});
+sendersReady
+  .then(() => {
+    app.listen(PORT, () => {
+      logStartup();
+      console.log('[b24-ui] Servidor listo.');
+    });
+  })
+  .catch((error) => {
+    console.error('[b24-ui] No se pudo abrir el registro de remitentes:', error.message);
+    process.exit(1);
+  });
@@ -5,6 +5,7 @@ import axios from 'axios';
 import { fileURLToPath } from 'url';
 import db from '../src/lib/db.js';
 import { bitrixHealth } from '../src/lib/bitrix.js';
+import { getSenderCredentials } from '../src/lib/senders.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -65,6 +66,20 @@ async function checkWhatsApp(token, phoneId) {
   }
 }
 
+// Remitentes con token propio en senders (cifrado con SENDER_TOKEN_KEY)
+async function checkSenderCredentials() {
+  const rows = db.prepare('SELECT phone_id FROM senders WHERE access_token_enc IS NOT NULL').all();
+  for (const { phone_id } of rows) {
+    try {
+      const { token } = getSenderCredentials(phone_id);
+      await checkWhatsApp(token, phone_id);
+    } catch (err) {
+      addResult('fail', `No se pudo leer el token del remitente ${phone_id}`, `Revisa SENDER_TOKEN_KEY o vuelve a guardar el token. Detalle: ${err.message}`);
+    }
+  }
+  return rows.length;
+}
+
 function checkDatabase() {
   try {
     const row = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='campaigns'").get();
@@ -131,7 +146,11 @@ async function checkBitrix(tokensPath) {
 }
 
 async function main() {
-  const waToken = requireEnv('WA_ACCESS_TOKEN', 'Token de acceso de WhatsApp Business');
+  const ownTokens = db.prepare('SELECT COUNT(1) c FROM senders WHERE access_token_enc IS NOT NULL').get().c;
+  // Con remitentes que traen su propio token, el global solo hace falta para los demás
+  const waToken = ownTokens
+    ? optionalEnv('WA_ACCESS_TOKEN', 'Token de acceso de WhatsApp Business para remitentes sin token propio')
+    : requireEnv('WA_ACCESS_TOKEN', 'Token de acceso de WhatsApp Business');
   const waPhoneId = requireEnv('WA_PHONE_NUMBER_ID', 'Identificador del número de WhatsApp Business', {
     validator: hasDigits,
     fix: 'Copia el "Identificador de número de teléfono" desde el panel de Meta.'
@@ -151,6 +170,7 @@ async function main() {
   if (waToken && waPhoneId) {
     await checkWhatsApp(waToken, waPhoneId);
   }
+  await checkSenderCredentials();
 
   const tokensPath = path.join(rootDir, 'data', 'b24_tokens.json');
   await checkBitrix(tokensPath);